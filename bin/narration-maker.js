@@ -0,0 +1,323 @@
+#!/usr/bin/env node
+import { readFile, readdir, stat, writeFile, mkdir } from "node:fs/promises";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import * as XLSX from "xlsx";
+import {
+  convertWorkflowGroups,
+  readWorkflowFile,
+  readFailure,
+  isWorkflowFileName,
+  rowsToCSV,
+  rowsToWorkbook,
+  workflowsToWorkbook,
+  groupsToIssueRows,
+  applyTemplate,
+  parseTemplate,
+  parseVocabulary,
+  mergeUnmappedTerms,
+  readReviewedRows,
+  mergeReviewedRows,
+  VOCABULARY_SECTIONS,
+  DEFAULT_EXPORT_NAME,
+  SEVERITIES,
+  WORKFLOW_FORMATS,
+} from "../src/lib/index.js";
+
+const USAGE = `Usage: narration-maker [options] <file.json|file.zip|folder>...
+
+Converts workflow JSON exports (single workflow, JSON array or ZIP, ZIPs inside
+ZIPs included) into the same CSV / XLSX narration the web app produces. Folders
+are searched recursively for JSON and ZIP files.
+
+Options:
+  -o, --out-dir <dir>    Directory to write into (default: current directory)
+  -f, --format <fmt>     csv, xlsx or both (default: both)
+  -s, --split            Write one file per workflow instead of one merged file
+  -t, --template <file>  Column template JSON (as exported from the web app) used to
+                         show/hide, rename and reorder columns
+      --vocabulary <file>
+                         Vocabulary JSON (as exported from the web app) with project
+                         wording for constraints, exception types, selectors, units
+                         and the parameter description templates
+      --ids              Add stage, task and parameter id columns, the stage/task
+                         orderTree and the "Task 2.3" reference number
+      --task-rows        Add a header row per stage and task; task rows carry the
+                         dependencies, executor lock, automations and description
+      --source-order     Keep stages, tasks and parameters in the order of the JSON
+                         instead of sorting them by orderTree
+      --reviewed <file>  Previously exported CSV/XLSX with reviewer columns filled in;
+                         they are carried over by Row Key and a Review Flag column
+                         marks rows that changed, are new or were removed since
+      --sheet-per-workflow
+                         Merged XLSX gets one sheet per workflow plus an Index sheet
+      --fail-on <level>  Exit with code 3 when the workflows have lint issues of this
+                         severity or worse: error or warning (outputs are still written)
+  -h, --help             Show this help
+
+Workflows may be in the import format (stageRequests), an API detail response
+(stages, tasks, parameters) or a legacy export (task activities); any other
+format is noted on stderr, along with fields the narration does not read.
+
+Files and workflows that cannot be read or converted are reported on stderr and
+left out; everything else is still written.
+
+Exit codes: 0 success, 1 a file could not be read or converted, 2 bad usage,
+3 lint issues at or above --fail-on.`;
+
+const FORMATS = ["csv", "xlsx", "both"];
+const FAIL_ON = {
+  error: [SEVERITIES.ERROR],
+  warning: [SEVERITIES.ERROR, SEVERITIES.WARNING],
+};
+
+/* -------------------- HELPER: File-system safe base name -------------------- */
+const toBaseName = (name) =>
+  String(name)
+    .replace(/\.[^./\\]+$/, "")
+    .replace(/[^\w.-]+/g, "_")
+    .replace(/^_+|_+$/g, "") || "workflow";
+
+/* -------------------- HELPER: Inputs with folders expanded to their JSON / ZIP files -------------------- */
+const expandInputs = async (inputs) => {
+  const files = [];
+  for (const input of inputs) {
+    if (!(await stat(input)).isDirectory()) {
+      files.push(input);
+      continue;
+    }
+    const entries = await readdir(input, { recursive: true, withFileTypes: true });
+    files.push(
+      ...entries
+        .filter((entry) => entry.isFile() && isWorkflowFileName(entry.name))
+        .map((entry) => path.join(entry.path ?? entry.parentPath, entry.name))
+        .sort()
+    );
+  }
+  return files;
+};
+
+/* -------------------- HELPER: Write workflows in the requested formats -------------------- */
+const writeOutputs = async (groups, outDir, baseName, { format, sheetPerWorkflow, template }) => {
+  const templated = groups.map((group) => ({ ...group, rows: applyTemplate(group.rows, template) }));
+  const rows = templated.flatMap((group) => group.rows);
+  const written = [];
+  if (format === "csv" || format === "both") {
+    const target = path.join(outDir, `${baseName}.csv`);
+    await writeFile(target, rowsToCSV(rows), "utf8");
+    written.push(target);
+  }
+  if (format === "xlsx" || format === "both") {
+    const target = path.join(outDir, `${baseName}.xlsx`);
+    const wb = sheetPerWorkflow
+      ? workflowsToWorkbook(templated)
+      : rowsToWorkbook(rows, groupsToIssueRows(groups));
+    await writeFile(target, XLSX.write(wb, { type: "buffer", bookType: "xlsx" }));
+    written.push(target);
+  }
+  return { written, rowCount: rows.length };
+};
+
+/* -------------------- MAIN -------------------- */
+const main = async () => {
+  let args;
+  try {
+    args = parseArgs({
+      allowPositionals: true,
+      options: {
+        "out-dir": { type: "string", short: "o", default: "." },
+        format: { type: "string", short: "f", default: "both" },
+        split: { type: "boolean", short: "s", default: false },
+        "sheet-per-workflow": { type: "boolean", default: false },
+        template: { type: "string", short: "t" },
+        vocabulary: { type: "string" },
+        ids: { type: "boolean", default: false },
+        "task-rows": { type: "boolean", default: false },
+        "source-order": { type: "boolean", default: false },
+        reviewed: { type: "string" },
+        "fail-on": { type: "string" },
+        help: { type: "boolean", short: "h", default: false },
+      },
+    });
+  } catch (err) {
+    console.error(`${err.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const { values, positionals } = args;
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (!positionals.length) {
+    console.error(USAGE);
+    return 2;
+  }
+  const format = values.format.toLowerCase();
+  if (!FORMATS.includes(format)) {
+    console.error(`Unknown format "${values.format}". Expected one of: ${FORMATS.join(", ")}.`);
+    return 2;
+  }
+  const failOn = values["fail-on"]?.toLowerCase();
+  if (failOn !== undefined && !FAIL_ON[failOn]) {
+    console.error(
+      `Unknown --fail-on level "${values["fail-on"]}". Expected one of: ${Object.keys(FAIL_ON).join(", ")}.`
+    );
+    return 2;
+  }
+
+  // -------------------- READ ALL INPUTS BEFORE WRITING ANYTHING --------------------
+  let template;
+  if (values.template) {
+    try {
+      template = parseTemplate(await readFile(values.template, "utf8"));
+    } catch (err) {
+      console.error(`Error: ${values.template}: ${err.message}`);
+      return 1;
+    }
+  }
+
+  let vocabulary;
+  if (values.vocabulary) {
+    try {
+      vocabulary = parseVocabulary(await readFile(values.vocabulary, "utf8"));
+    } catch (err) {
+      console.error(`Error: ${values.vocabulary}: ${err.message}`);
+      return 1;
+    }
+  }
+
+  // Read with the same template, so renamed headers map back to their columns
+  let reviewedRows;
+  if (values.reviewed) {
+    try {
+      reviewedRows = await readReviewedRows(values.reviewed, await readFile(values.reviewed), template);
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      return 1;
+    }
+  }
+
+  let inputs;
+  try {
+    inputs = await expandInputs(positionals);
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    return 1;
+  }
+  if (!inputs.length) {
+    console.error(`Error: no JSON or ZIP files found in ${positionals.join(", ")}`);
+    return 1;
+  }
+
+  // Same attribution as the web app: with several files, ZIP entries are named "<archive>/<entry>".
+  // Files and workflows that fail are reported; the rest is still converted
+  const failures = [];
+  const onFailure = (failure) => failures.push(failure);
+  const loaded = [];
+  for (const input of inputs) {
+    try {
+      const data = await readFile(input);
+      loaded.push(
+        ...(await readWorkflowFile(input, data, {
+          entryPrefix: inputs.length > 1 ? `${input}/` : "",
+          onFailure,
+        }))
+      );
+    } catch (err) {
+      onFailure(readFailure(input, err));
+    }
+  }
+
+  // -------------------- CONVERT + WRITE --------------------
+  let converted = convertWorkflowGroups(loaded, {
+    vocabulary,
+    includeIds: values.ids,
+    taskRows: values["task-rows"],
+    sourceOrder: values["source-order"],
+    onFailure,
+  });
+
+  // -------------------- IMPORT REPORT --------------------
+  failures.forEach((failure) => {
+    const where = [failure.stage, failure.task, failure.parameter].filter(Boolean).join(" > ");
+    const workflow = failure.workflowName ? ` [${failure.workflowName}]` : "";
+    console.error(`Error: ${failure.fileName}${workflow}${where ? ` ${where}` : ""}: ${failure.message}`);
+  });
+  if (failures.length && !converted.length) {
+    console.error("Nothing could be imported.");
+    return 1;
+  }
+
+  const outDir = values["out-dir"];
+  await mkdir(outDir, { recursive: true });
+  if (reviewedRows) {
+    const { groups, summary } = mergeReviewedRows(converted, reviewedRows);
+    converted = groups;
+    console.error(
+      `Review merged from ${values.reviewed}: ${Object.entries(summary)
+        .map(([flag, count]) => `${count} ${flag.toLowerCase()}`)
+        .join(", ")}`
+    );
+  }
+
+  const jobs = [];
+  if (values.split) {
+    const usedNames = new Set();
+    converted.forEach((group) => {
+      const preferred = toBaseName(group.workflowName || path.basename(group.sourceFile));
+      let baseName = preferred;
+      for (let n = 2; usedNames.has(baseName); n += 1) baseName = `${preferred}_${n}`;
+      usedNames.add(baseName);
+      jobs.push({ baseName, groups: [group] });
+    });
+  } else {
+    jobs.push({ baseName: DEFAULT_EXPORT_NAME, groups: converted });
+  }
+
+  const writeOptions = { format, sheetPerWorkflow: values["sheet-per-workflow"], template };
+  for (const { baseName, groups } of jobs) {
+    const { written, rowCount } = await writeOutputs(groups, outDir, baseName, writeOptions);
+    written.forEach((target) => console.log(`${target} (${rowCount} rows)`));
+  }
+
+  // -------------------- UNMAPPED VOCABULARY --------------------
+  const allGroups = jobs.flatMap((job) => job.groups);
+  const unmappedTerms = mergeUnmappedTerms(allGroups.map((group) => group.unmappedTerms));
+  unmappedTerms.forEach(({ section, value, count }) => {
+    const sectionName = VOCABULARY_SECTIONS[section].toLowerCase();
+    console.error(`Unmapped value in ${sectionName}: ${value} (${count}x)`);
+  });
+
+  // -------------------- WORKFLOW FORMATS --------------------
+  allGroups.forEach((group) => {
+    if (group.format !== WORKFLOW_FORMATS.REQUEST) {
+      console.error(`Format of [${group.workflowName}]: ${group.format}`);
+    }
+    group.unrecognizedFields.forEach((field) =>
+      console.error(`Unrecognized field in [${group.workflowName}]: ${field}`)
+    );
+  });
+
+  // -------------------- LINT GATE --------------------
+  const issueRows = groupsToIssueRows(allGroups);
+  issueRows.forEach((issue) => {
+    const where = [issue.Stage, issue.Task, issue.Parameter].filter(Boolean).join(" > ");
+    console.error(`${issue.Severity}: [${issue["Workflow Name"]}] ${where}: ${issue.Details}`);
+  });
+  if (failOn && issueRows.some((issue) => FAIL_ON[failOn].includes(issue.Severity))) {
+    console.error(`Lint gate failed: issues at or above "${failOn}" found.`);
+    return failures.length ? 1 : 3;
+  }
+  return failures.length ? 1 : 0;
+};
+
+main().then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (err) => {
+    console.error(`Error: ${err.message}`);
+    process.exitCode = 1;
+  }
+);
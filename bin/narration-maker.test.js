@@ -0,0 +1,138 @@
+import { spawnSync } from "node:child_process";
+import { mkdirSync, mkdtempSync, readdirSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+
+const CLI = fileURLToPath(new URL("./narration-maker.js", import.meta.url));
+
+let dir;
+const run = (...args) =>
+  spawnSync(process.execPath, [CLI, ...args], { cwd: dir, encoding: "utf8" });
+const writeJson = (name, value) => {
+  writeFileSync(path.join(dir, name), JSON.stringify(value));
+  return name;
+};
+
+const lineClearance = {
+  name: "Line Clearance",
+  stageRequests: [
+    {
+      id: "s1",
+      name: "Preparation",
+      taskRequests: [
+        { id: "t1", name: "Inspect", parameterRequests: [{ id: "p1", label: "Area clean" }] },
+      ],
+    },
+  ],
+};
+
+beforeEach(() => {
+  dir = mkdtempSync(path.join(tmpdir(), "narration-maker-"));
+});
+afterEach(() => {
+  rmSync(dir, { recursive: true, force: true });
+});
+
+describe("narration-maker", () => {
+  it("writes the merged CSV and exits with 0", () => {
+    const input = writeJson("line.json", lineClearance);
+    const result = run("--format", "csv", "--out-dir", "out", input);
+    expect(result.status).toBe(0);
+    expect(readdirSync(path.join(dir, "out"))).toEqual(["workflow_extracted.csv"]);
+    const csv = readFileSync(path.join(dir, "out", "workflow_extracted.csv"), "utf8");
+    expect(csv).toContain("Area clean");
+  });
+
+  it("writes one file per workflow with --split", () => {
+    const input = writeJson("all.json", [lineClearance, { ...lineClearance, name: "Dispensing" }]);
+    expect(run("-f", "csv", "-s", "-o", "out", input).status).toBe(0);
+    expect(readdirSync(path.join(dir, "out")).sort()).toEqual([
+      "Dispensing.csv",
+      "Line_Clearance.csv",
+    ]);
+  });
+
+  it("searches folders recursively for JSON files", () => {
+    mkdirSync(path.join(dir, "exports", "2024"), { recursive: true });
+    writeJson("exports/line.json", lineClearance);
+    writeJson("exports/2024/dispensing.json", { ...lineClearance, name: "Dispensing" });
+    writeFileSync(path.join(dir, "exports", "notes.txt"), "not a workflow");
+    expect(run("-f", "csv", "-s", "-o", "out", "exports").status).toBe(0);
+    expect(readdirSync(path.join(dir, "out")).sort()).toEqual([
+      "Dispensing.csv",
+      "Line_Clearance.csv",
+    ]);
+  });
+
+  it("exits with 2 on bad usage", () => {
+    expect(run().status).toBe(2);
+    expect(run("--format", "pdf", "line.json").status).toBe(2);
+    expect(run("--colour", "line.json").status).toBe(2);
+    expect(run("--help").status).toBe(0);
+  });
+
+  it("writes what it could read and exits with 1 when an input is broken", () => {
+    writeFileSync(path.join(dir, "broken.json"), "{\n  oops\n}");
+    const result = run(
+      "-f",
+      "csv",
+      "-o",
+      "out",
+      writeJson("line.json", lineClearance),
+      "broken.json"
+    );
+    expect(result.status).toBe(1);
+    expect(result.stderr).toContain("Error: broken.json: ");
+    expect(result.stderr).toContain("(line 2, column 3)");
+    expect(readdirSync(path.join(dir, "out"))).toEqual(["workflow_extracted.csv"]);
+  });
+
+  it("exits with 1 when an input cannot be read", () => {
+    writeFileSync(path.join(dir, "broken.json"), "{ not json");
+    const result = run("-o", "out", "broken.json");
+    expect(result.status).toBe(1);
+    expect(result.stderr).toContain("broken.json");
+  });
+});
+
+describe("narration-maker --fail-on", () => {
+  const withTask = (task) => ({
+    name: "Mixing",
+    stageRequests: [
+      { id: "s1", name: "Mixing", taskRequests: [{ id: "t1", name: "Charge", ...task }] },
+    ],
+  });
+  // An option ID no choice matches: a warning
+  const warning = withTask({
+    parameterRequests: [
+      { id: "p1", label: "Mode", rules: [{ input: ["opt-9"], show: { parameters: ["p2"] } }] },
+      { id: "p2", label: "Speed" },
+    ],
+  });
+  // A prerequisite task that is not in the workflow: an error
+  const error = withTask({
+    prerequisiteTaskIds: ["999"],
+    parameterRequests: [{ id: "p1", label: "Speed" }],
+  });
+
+  it("exits with 3 on issues at or above the level and still writes the outputs", () => {
+    const input = writeJson("error.json", error);
+    const result = run("--fail-on", "error", "-f", "csv", "-o", "out", input);
+    expect(result.status).toBe(3);
+    expect(result.stderr).toContain("Lint gate failed");
+    expect(readdirSync(path.join(dir, "out"))).toEqual(["workflow_extracted.csv"]);
+  });
+
+  it("lets warnings through unless the level is warning", () => {
+    const input = writeJson("warning.json", warning);
+    expect(run("--fail-on", "error", "-f", "csv", input).status).toBe(0);
+    expect(run("--fail-on", "warning", "-f", "csv", input).status).toBe(3);
+    expect(run("-f", "csv", writeJson("error.json", error)).status).toBe(0);
+  });
+
+  it("exits with 2 on an unknown level", () => {
+    expect(run("--fail-on", "info", writeJson("warning.json", warning)).status).toBe(2);
+  });
+});
@@ -0,0 +1,195 @@
+import React, { useRef, useState } from "react";
+import { saveAs } from "file-saver";
+import { normalizeTemplate, parseTemplate, serializeTemplate, DEFAULT_TEMPLATE_NAME } from "../lib";
+import { CloseIcon, DownloadIcon, UploadIcon } from "./Icons";
+
+/* -------------------- COLUMN TEMPLATE EDITOR -------------------- */
+export default function ColumnTemplateEditor({
+  template,
+  onSave,
+  onDelete,
+  onClose,
+  darkMode,
+  setToast,
+}) {
+  const [draft, setDraft] = useState(() => normalizeTemplate(template));
+  const importRef = useRef(null);
+  const isDefault = template.name === DEFAULT_TEMPLATE_NAME;
+
+  const updateColumn = (idx, changes) =>
+    setDraft((prev) => ({
+      ...prev,
+      columns: prev.columns.map((col, i) => (i === idx ? { ...col, ...changes } : col)),
+    }));
+
+  const moveColumn = (idx, step) =>
+    setDraft((prev) => {
+      const target = idx + step;
+      if (target < 0 || target >= prev.columns.length) return prev;
+      const columns = [...prev.columns];
+      [columns[idx], columns[target]] = [columns[target], columns[idx]];
+      return { ...prev, columns };
+    });
+
+  /* -------------------- SAVE / IMPORT / EXPORT -------------------- */
+  const handleSave = () => {
+    const name = draft.name.trim();
+    if (!name || name === DEFAULT_TEMPLATE_NAME) {
+      setToast({
+        type: "error",
+        title: "Template not saved",
+        message: `Give the template a name other than "${DEFAULT_TEMPLATE_NAME}".`,
+      });
+      return;
+    }
+    if (!draft.columns.some((col) => col.visible)) {
+      setToast({ type: "error", title: "Template not saved", message: "Show at least one column." });
+      return;
+    }
+    onSave({ ...draft, name });
+    onClose();
+  };
+
+  const handleImport = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (!file) return;
+    try {
+      setDraft(parseTemplate(await file.text()));
+    } catch (err) {
+      setToast({ type: "error", title: "Import failed", message: err.message });
+    }
+  };
+
+  const handleExport = () => {
+    saveAs(
+      new Blob([serializeTemplate(draft)], { type: "application/json;charset=utf-8;" }),
+      `${draft.name.trim().replace(/[^\w.-]+/g, "_") || "column_template"}.json`
+    );
+  };
+
+  const panelTone = darkMode ? "border-gray-800 bg-gray-950" : "border-slate-200 bg-white";
+  const inputTone = darkMode
+    ? "border-gray-700 bg-gray-900 text-gray-100"
+    : "border-slate-200 bg-white text-slate-700";
+
+  /* -------------------- UI -------------------- */
+  return (
+    <div className="fixed inset-0 z-40 flex items-center justify-center bg-black/40 p-4">
+      <div
+        className={`flex max-h-[90vh] w-full max-w-2xl flex-col rounded-3xl border shadow-xl ${panelTone}`}
+      >
+        <div className="flex items-center justify-between gap-4 border-b border-slate-200 p-6 dark:border-gray-800">
+          <div>
+            <p className="text-lg font-semibold">Column template</p>
+            <p className="text-sm text-slate-500 dark:text-slate-300">
+              Show or hide, rename and reorder the columns used by the preview, CSV and XLSX.
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            className="rounded-full p-2 transition hover:bg-black/5 dark:hover:bg-white/10"
+          >
+            <CloseIcon className="h-5 w-5" />
+          </button>
+        </div>
+
+        <div className="space-y-4 overflow-auto p-6">
+          <label className="block text-sm font-semibold">
+            Template name
+            <input
+              value={draft.name}
+              onChange={(e) => setDraft((prev) => ({ ...prev, name: e.target.value }))}
+              className={`mt-1 w-full rounded-full border px-4 py-2 text-sm font-normal ${inputTone}`}
+            />
+          </label>
+
+          <ul className="space-y-2">
+            {draft.columns.map((col, idx) => (
+              <li key={col.key} className="flex items-center gap-3">
+                <input
+                  type="checkbox"
+                  checked={col.visible}
+                  onChange={(e) => updateColumn(idx, { visible: e.target.checked })}
+                  title="Show this column"
+                  className="h-4 w-4 rounded"
+                />
+                <input
+                  value={col.label}
+                  onChange={(e) => updateColumn(idx, { label: e.target.value })}
+                  className={`flex-1 rounded-lg border px-3 py-1.5 text-sm ${inputTone} ${
+                    col.visible ? "" : "opacity-50"
+                  }`}
+                />
+                <span className="hidden w-48 truncate text-xs text-slate-500 sm:block dark:text-slate-400">
+                  {col.label !== col.key ? col.key : ""}
+                </span>
+                <button
+                  onClick={() => moveColumn(idx, -1)}
+                  disabled={idx === 0}
+                  title="Move up"
+                  className="rounded-full px-2 py-1 text-sm transition hover:bg-black/5 disabled:opacity-30 dark:hover:bg-white/10"
+                >
+                  ▲
+                </button>
+                <button
+                  onClick={() => moveColumn(idx, 1)}
+                  disabled={idx === draft.columns.length - 1}
+                  title="Move down"
+                  className="rounded-full px-2 py-1 text-sm transition hover:bg-black/5 disabled:opacity-30 dark:hover:bg-white/10"
+                >
+                  ▼
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+
+        <div className="flex flex-wrap items-center justify-between gap-3 border-t border-slate-200 p-6 dark:border-gray-800">
+          <div className="flex flex-wrap gap-2">
+            <button
+              onClick={() => importRef.current?.click()}
+              className="flex items-center gap-2 rounded-full border border-blue-600 px-4 py-2 text-sm font-semibold text-blue-600 transition hover:bg-blue-50 dark:hover:bg-blue-500/10"
+            >
+              <UploadIcon className="h-4 w-4" />
+              Import JSON
+            </button>
+            <input
+              ref={importRef}
+              type="file"
+              accept=".json"
+              className="hidden"
+              onChange={handleImport}
+            />
+            <button
+              onClick={handleExport}
+              className="flex items-center gap-2 rounded-full border border-blue-600 px-4 py-2 text-sm font-semibold text-blue-600 transition hover:bg-blue-50 dark:hover:bg-blue-500/10"
+            >
+              <DownloadIcon className="h-4 w-4" />
+              Export JSON
+            </button>
+          </div>
+          <div className="flex flex-wrap gap-2">
+            {!isDefault && (
+              <button
+                onClick={() => {
+                  onDelete(template.name);
+                  onClose();
+                }}
+                className="rounded-full px-4 py-2 text-sm font-semibold text-red-600 transition hover:bg-red-50 dark:hover:bg-red-500/10"
+              >
+                Delete
+              </button>
+            )}
+            <button
+              onClick={handleSave}
+              className="rounded-full bg-blue-600 px-5 py-2 text-sm font-semibold text-white shadow-sm transition hover:bg-blue-500"
+            >
+              Save template
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
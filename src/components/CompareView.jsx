@@ -0,0 +1,205 @@
+import React, { useMemo, useRef, useState } from "react";
+import XLSXStyle from "xlsx-js-style";
+import {
+  diffWorkflows,
+  diffToRows,
+  diffToWorkbook,
+  normalizeWorkflow,
+  readWorkflowFile,
+} from "../lib";
+import { DownloadIcon, UploadIcon } from "./Icons";
+
+const SLOTS = [
+  { key: "before", label: "Before", helper: "Earlier workflow version" },
+  { key: "after", label: "After", helper: "Revised workflow version" },
+];
+
+const CHANGE_TONES = {
+  Added: "bg-emerald-50 text-emerald-900 dark:bg-emerald-500/10 dark:text-emerald-100",
+  Removed: "bg-red-50 text-red-900 dark:bg-red-500/10 dark:text-red-100",
+  Modified: "bg-amber-50 text-amber-900 dark:bg-amber-500/10 dark:text-amber-100",
+};
+
+/* -------------------- COMPARE VIEW -------------------- */
+export default function CompareView({ darkMode, setToast }) {
+  const [versions, setVersions] = useState({ before: null, after: null });
+  const inputRefs = { before: useRef(null), after: useRef(null) };
+
+  // A version that cannot be narrated is reported in the panel instead of breaking the view
+  const { diff, error } = useMemo(() => {
+    if (!versions.before || !versions.after) return { diff: null, error: null };
+    try {
+      return { diff: diffWorkflows(versions.before.workflow, versions.after.workflow), error: null };
+    } catch (err) {
+      console.error("Error:", err);
+      const where = [err.location?.stage, err.location?.task, err.location?.parameter]
+        .filter(Boolean)
+        .join(" > ");
+      return { diff: null, error: where ? `${where}: ${err.message}` : err.message };
+    }
+  }, [versions]);
+  const diffRows = useMemo(() => (diff ? diffToRows(diff) : []), [diff]);
+
+  /* -------------------- FILE LOADING -------------------- */
+  const handleVersionFile = async (slot, file) => {
+    if (!file) return;
+    try {
+      const loaded = await readWorkflowFile(file.name, file);
+      if (!loaded.length) throw new Error("No workflow JSON found");
+      if (loaded.length > 1) {
+        setToast({
+          type: "info",
+          message: `${file.name} holds ${loaded.length} workflows; comparing the first one.`,
+        });
+      }
+      const { workflow, format } = normalizeWorkflow(loaded[0].workflow);
+      setVersions((prev) => ({ ...prev, [slot]: { fileName: file.name, workflow, format } }));
+    } catch (err) {
+      console.error("Error:", err);
+      setToast({ type: "error", message: "Invalid file. Please upload a valid JSON or ZIP." });
+    }
+  };
+
+  const handleInputChange = (slot) => (event) => {
+    handleVersionFile(slot, event.target.files?.[0]);
+    event.target.value = "";
+  };
+
+  const downloadReport = () => {
+    XLSXStyle.writeFile(diffToWorkbook(diff), "workflow_changes.xlsx");
+  };
+
+  const panelTone = darkMode ? "border-gray-800 bg-gray-900/40" : "border-slate-200 bg-white";
+
+  /* -------------------- UI -------------------- */
+  return (
+    <section className="space-y-6">
+      <div className="grid gap-4 sm:grid-cols-2">
+        {SLOTS.map((slot) => (
+          <div
+            key={slot.key}
+            className={`flex items-center justify-between gap-4 rounded-3xl border-2 border-dashed p-6 ${panelTone}`}
+          >
+            <div>
+              <p className="text-xs font-semibold uppercase tracking-wide text-slate-500 dark:text-slate-400">
+                {slot.label}
+              </p>
+              <p className="text-sm font-semibold">
+                {versions[slot.key]?.fileName || slot.helper}
+              </p>
+              {versions[slot.key] && (
+                <p className="text-xs text-slate-500 dark:text-slate-400">
+                  {versions[slot.key].format}
+                </p>
+              )}
+            </div>
+            <button
+              onClick={() => inputRefs[slot.key].current?.click()}
+              className="flex items-center gap-2 rounded-full bg-blue-600 px-4 py-2 text-sm font-semibold text-white shadow-sm transition hover:bg-blue-500"
+            >
+              <UploadIcon className="h-4 w-4" />
+              Choose file
+            </button>
+            <input
+              ref={inputRefs[slot.key]}
+              type="file"
+              accept=".json,.zip"
+              className="hidden"
+              onChange={handleInputChange(slot.key)}
+            />
+          </div>
+        ))}
+      </div>
+
+      {error ? (
+        <section
+          className={`rounded-3xl border p-6 ${
+            darkMode ? "border-red-500/40 bg-red-500/10" : "border-red-200 bg-red-50"
+          }`}
+        >
+          <p className="text-sm font-semibold text-red-900 dark:text-red-50">
+            Could not compare the versions
+          </p>
+          <p className="mt-1 whitespace-pre-wrap text-sm text-red-800 dark:text-red-100">{error}</p>
+        </section>
+      ) : diff ? (
+        <>
+          <div
+            className={`flex flex-wrap items-center justify-between gap-4 rounded-3xl border p-6 ${panelTone}`}
+          >
+            <div>
+              <p className="text-sm font-semibold">
+                {diff.beforeName} → {diff.afterName}
+              </p>
+              <p className="text-sm text-slate-500 dark:text-slate-300">
+                {diff.summary.Added} added • {diff.summary.Removed} removed • {diff.summary.Modified}{" "}
+                modified
+              </p>
+            </div>
+            <button
+              onClick={downloadReport}
+              disabled={!diff.changes.length}
+              className="flex items-center gap-2 rounded-full bg-emerald-500 px-5 py-2 text-sm font-semibold text-white shadow-sm transition hover:bg-emerald-400 disabled:opacity-50"
+            >
+              <DownloadIcon className="h-4 w-4" />
+              Export change report
+            </button>
+          </div>
+
+          {diffRows.length ? (
+            <div className={`rounded-3xl border ${panelTone}`}>
+              <div className="max-h-[520px] overflow-auto rounded-3xl">
+                <table className="min-w-full text-sm">
+                  <thead className={`sticky top-0 z-10 ${darkMode ? "bg-gray-950" : "bg-slate-100"}`}>
+                    <tr>
+                      {Object.keys(diffRows[0]).map((key) => (
+                        <th
+                          key={key}
+                          className="border-b border-slate-200 px-4 py-3 text-left text-xs font-semibold uppercase tracking-wide text-slate-500 dark:border-gray-800 dark:text-slate-300"
+                        >
+                          {key}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody className={darkMode ? "divide-y divide-gray-900/60" : "divide-y divide-slate-100"}>
+                    {diffRows.map((row, i) => (
+                      <tr key={i} className={row.Change === "Modified" ? undefined : CHANGE_TONES[row.Change]}>
+                        {Object.keys(row).map((col) => (
+                          <td
+                            key={col}
+                            className={`px-4 py-3 align-top text-sm leading-6 whitespace-pre-wrap max-w-xs ${
+                              row.Change === "Modified" && col === "Before"
+                                ? CHANGE_TONES.Removed
+                                : row.Change === "Modified" && col === "After"
+                                ? CHANGE_TONES.Added
+                                : ""
+                            }`}
+                          >
+                            {row[col]}
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          ) : (
+            <p className="text-center text-sm text-slate-500 dark:text-slate-300">
+              No differences found between the two versions.
+            </p>
+          )}
+        </>
+      ) : (
+        <section className={`rounded-3xl border p-10 text-center ${panelTone}`}>
+          <p className="text-lg font-semibold">Choose two versions</p>
+          <p className="mt-2 text-sm text-slate-500 dark:text-slate-300">
+            Stages, tasks and parameters are matched by id (falling back to their label) and every
+            changed narration column is listed with its before and after value.
+          </p>
+        </section>
+      )}
+    </section>
+  );
+}
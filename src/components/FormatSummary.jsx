@@ -0,0 +1,54 @@
+import React from "react";
+import { WORKFLOW_FORMATS } from "../lib";
+
+/* -------------------- FORMAT SUMMARY --------------------
+ * Which JSON shape each loaded workflow came in, and the fields the narration
+ * did not recognize (and so left out). Workflows are listed by name only when
+ * more than one is loaded.
+ */
+export default function FormatSummary({ workflows }) {
+  const counts = new Map();
+  workflows.forEach((wf) => counts.set(wf.format, (counts.get(wf.format) || 0) + 1));
+  const withUnrecognized = workflows.filter((wf) => wf.unrecognizedFields?.length);
+  const fieldCount = withUnrecognized.reduce((n, wf) => n + wf.unrecognizedFields.length, 0);
+
+  return (
+    <div className="mt-2 space-y-2 text-xs">
+      <p className="flex flex-wrap items-center gap-2">
+        {[...counts].map(([format, count]) => (
+          <span
+            key={format || "unknown"}
+            title="Detected workflow JSON format"
+            className={`rounded-full px-2 py-0.5 font-semibold ${
+              format === WORKFLOW_FORMATS.REQUEST
+                ? "bg-slate-100 text-slate-700 dark:bg-gray-800 dark:text-slate-200"
+                : "bg-sky-100 text-sky-800 dark:bg-sky-500/20 dark:text-sky-100"
+            }`}
+          >
+            {format || "Unknown format"}
+            {workflows.length > 1 ? ` × ${count}` : ""}
+          </span>
+        ))}
+      </p>
+      {fieldCount > 0 && (
+        <details className="text-slate-500 dark:text-slate-300">
+          <summary className="cursor-pointer font-semibold text-amber-700 dark:text-amber-200">
+            {fieldCount} unrecognized field{fieldCount === 1 ? "" : "s"} not narrated
+          </summary>
+          <div className="mt-2 max-h-48 space-y-2 overflow-auto">
+            {withUnrecognized.map((wf, i) => (
+              <div key={i}>
+                {workflows.length > 1 && <p className="font-semibold">{wf.workflowName}</p>}
+                <ul className="font-mono">
+                  {wf.unrecognizedFields.map((field) => (
+                    <li key={field}>{field}</li>
+                  ))}
+                </ul>
+              </div>
+            ))}
+          </div>
+        </details>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,79 @@
+import React from "react";
+import { IMPORT_PHASES } from "../lib";
+import { CloseIcon } from "./Icons";
+
+const COLUMNS = ["File", "Workflow", "Where", "Error"];
+
+/* -------------------- IMPORT REPORT --------------------
+ * Files and workflows an upload could not import. The rest of the upload is
+ * loaded as usual; this lists what was left out and why.
+ */
+export default function ImportReport({ failures, onDismiss, darkMode }) {
+  if (!failures.length) return null;
+
+  const unreadable = failures.filter((f) => f.phase === IMPORT_PHASES.READ).length;
+  const unconverted = failures.length - unreadable;
+  const summary = [
+    unreadable ? `${unreadable} file${unreadable === 1 ? "" : "s"} could not be read` : "",
+    unconverted
+      ? `${unconverted} workflow${unconverted === 1 ? "" : "s"} could not be converted`
+      : "",
+  ]
+    .filter(Boolean)
+    .join(", ");
+
+  return (
+    <section
+      className={`rounded-3xl border p-6 ${
+        darkMode ? "border-red-500/40 bg-red-500/10" : "border-red-200 bg-red-50"
+      }`}
+    >
+      <div className="mb-4 flex items-start justify-between gap-4">
+        <div>
+          <p className="text-sm font-semibold text-red-900 dark:text-red-50">Import report</p>
+          <p className="text-sm text-red-800 dark:text-red-100">
+            {summary}. Everything else was loaded.
+          </p>
+        </div>
+        <button
+          onClick={onDismiss}
+          title="Dismiss the import report"
+          className="rounded-full p-1 text-red-900 transition hover:bg-black/5 dark:text-red-50 dark:hover:bg-white/10"
+        >
+          <CloseIcon className="h-4 w-4" />
+        </button>
+      </div>
+      <div className="max-h-72 overflow-auto">
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr>
+              {COLUMNS.map((col) => (
+                <th
+                  key={col}
+                  className="border-b border-red-200 px-3 py-2 text-left text-xs font-semibold uppercase tracking-wide text-red-800 dark:border-red-500/40 dark:text-red-100"
+                >
+                  {col}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {failures.map((failure, i) => (
+              <tr key={i} className="align-top text-red-900 dark:text-red-50">
+                <td className="px-3 py-2 font-mono text-xs break-all">
+                  {failure.fileName || "--"}
+                </td>
+                <td className="px-3 py-2">{failure.workflowName || "--"}</td>
+                <td className="px-3 py-2">
+                  {[failure.stage, failure.task, failure.parameter].filter(Boolean).join(" > ") ||
+                    "--"}
+                </td>
+                <td className="px-3 py-2 whitespace-pre-wrap">{failure.message}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,60 @@
+import React from "react";
+import { SEVERITIES } from "../lib";
+
+const SEVERITY_TONES = {
+  [SEVERITIES.ERROR]: "bg-red-100 text-red-800 dark:bg-red-500/20 dark:text-red-100",
+  [SEVERITIES.WARNING]: "bg-amber-100 text-amber-800 dark:bg-amber-500/20 dark:text-amber-100",
+};
+
+/* -------------------- ISSUES PANEL -------------------- */
+export default function IssuesPanel({ issueRows, darkMode }) {
+  if (!issueRows.length) {
+    return (
+      <p className="p-6 text-center text-sm text-slate-500 dark:text-slate-300">
+        No issues found: every reference in the workflow resolves.
+      </p>
+    );
+  }
+
+  const columns = Object.keys(issueRows[0]);
+  return (
+    <div className="max-h-[520px] overflow-auto rounded-3xl">
+      <table className="min-w-full text-sm">
+        <thead className={`sticky top-0 z-10 ${darkMode ? "bg-gray-950" : "bg-slate-100"}`}>
+          <tr>
+            {columns.map((key) => (
+              <th
+                key={key}
+                className="border-b border-slate-200 px-4 py-3 text-left text-xs font-semibold uppercase tracking-wide text-slate-500 dark:border-gray-800 dark:text-slate-300"
+              >
+                {key}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody className={darkMode ? "divide-y divide-gray-900/60" : "divide-y divide-slate-100"}>
+          {issueRows.map((row, i) => (
+            <tr key={i}>
+              {columns.map((col) => (
+                <td
+                  key={col}
+                  className="px-4 py-3 align-top text-sm leading-6 text-slate-700 dark:text-slate-200 whitespace-pre-wrap max-w-xs"
+                >
+                  {col === "Severity" ? (
+                    <span
+                      className={`rounded-full px-2.5 py-0.5 text-xs font-semibold ${SEVERITY_TONES[row[col]]}`}
+                    >
+                      {row[col]}
+                    </span>
+                  ) : (
+                    row[col] || "--"
+                  )}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
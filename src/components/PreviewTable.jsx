@@ -0,0 +1,152 @@
+import React, { useMemo } from "react";
+import {
+  columnFilterValues,
+  isQueryActive,
+  toggleSort,
+  EMPTY_QUERY,
+  FILTER_EMPTY,
+  FILTER_HAS_VALUE,
+  SORT_DIRECTIONS,
+  ROW_TYPE_COLUMN,
+  ROW_TYPES,
+} from "../lib";
+import { CloseIcon } from "./Icons";
+import useVirtualRows from "./useVirtualRows";
+
+// Stage and task header rows (the "Stage & task rows" option) are set in bold
+const HEADER_ROW_TYPES = [ROW_TYPES.STAGE, ROW_TYPES.TASK];
+
+/* -------------------- PREVIEW TABLE -------------------- */
+// rows are already queried; sourceRows (before search/filters) feed the filter pickers.
+// columns are the visible template columns: data and filters use key, headers use label.
+// Only the rows in view are rendered, so large workflows stay responsive.
+export default function PreviewTable({
+  rows,
+  sourceRows,
+  columns,
+  query,
+  onQueryChange,
+  darkMode,
+}) {
+  const { containerRef, onScroll, start, end, padTop, padBottom, measureRow } = useVirtualRows(
+    rows.length,
+    { resetKey: rows }
+  );
+  const filterValues = useMemo(
+    () =>
+      Object.fromEntries(columns.map((col) => [col.key, columnFilterValues(sourceRows, col.key)])),
+    [sourceRows, columns]
+  );
+
+  const setFilter = (column, value) =>
+    onQueryChange({ ...query, filters: { ...query.filters, [column]: value } });
+
+  const controlTone = darkMode
+    ? "border-gray-700 bg-gray-900 text-gray-100"
+    : "border-slate-200 bg-white text-slate-700";
+
+  return (
+    <>
+      {/* Search + result count */}
+      <div className="flex flex-wrap items-center gap-3 border-b border-slate-200 p-4 dark:border-gray-800">
+        <input
+          type="search"
+          value={query.search}
+          onChange={(e) => onQueryChange({ ...query, search: e.target.value })}
+          placeholder="Search all columns..."
+          className={`min-w-[240px] flex-1 rounded-full border px-4 py-2 text-sm ${controlTone}`}
+        />
+        <span className="text-sm text-slate-500 dark:text-slate-300">
+          {rows.length} of {sourceRows.length} rows
+        </span>
+        {isQueryActive(query) && (
+          <button
+            onClick={() => onQueryChange(EMPTY_QUERY)}
+            className="flex items-center gap-1 rounded-full px-3 py-1.5 text-sm font-semibold text-blue-600 transition hover:bg-blue-50 dark:hover:bg-blue-500/10"
+          >
+            <CloseIcon className="h-3.5 w-3.5" />
+            Clear search, filters & sort
+          </button>
+        )}
+      </div>
+
+      <div
+        ref={containerRef}
+        onScroll={onScroll}
+        className="max-h-[520px] overflow-auto rounded-b-3xl"
+      >
+        <table className="min-w-full text-sm">
+          <thead className={`sticky top-0 z-10 ${darkMode ? "bg-gray-950" : "bg-slate-100"}`}>
+            <tr>
+              {columns.map(({ key, label }) => (
+                <th
+                  key={key}
+                  className="border-b border-slate-200 px-4 py-3 text-left text-xs font-semibold uppercase tracking-wide text-slate-500 dark:border-gray-800 dark:text-slate-300"
+                >
+                  <button
+                    onClick={() => onQueryChange({ ...query, sort: toggleSort(query.sort, key) })}
+                    title="Sort by this column"
+                    className="flex items-center gap-1 uppercase tracking-wide hover:text-blue-600"
+                  >
+                    {label}
+                    {query.sort?.column === key &&
+                      (query.sort.direction === SORT_DIRECTIONS.ASC ? " ▲" : " ▼")}
+                  </button>
+                  <select
+                    value={query.filters[key] || ""}
+                    onChange={(e) => setFilter(key, e.target.value)}
+                    className={`mt-2 w-full max-w-[200px] rounded-lg border px-2 py-1 text-xs font-normal normal-case ${controlTone}`}
+                  >
+                    <option value="">All</option>
+                    <option value={FILTER_HAS_VALUE}>Has value</option>
+                    <option value={FILTER_EMPTY}>Empty / N/A</option>
+                    {filterValues[key].map((value) => (
+                      <option key={value} value={value}>
+                        {value}
+                      </option>
+                    ))}
+                  </select>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className={darkMode ? "divide-y divide-gray-900/60" : "divide-y divide-slate-100"}>
+            {padTop > 0 && <tr aria-hidden="true" style={{ height: padTop }} />}
+            {rows.slice(start, end).map((row, offset) => {
+              const i = start + offset;
+              const stripe = i % 2 === 1 ? (darkMode ? "bg-gray-900/30" : "bg-slate-50") : "";
+              const weight = HEADER_ROW_TYPES.includes(row[ROW_TYPE_COLUMN]) ? "font-semibold" : "";
+              return (
+                <tr
+                  key={i}
+                  ref={measureRow(i)}
+                  className={`${stripe} ${weight}`.trim() || undefined}
+                >
+                  {columns.map(({ key }) => (
+                    <td
+                      key={key}
+                      className="px-4 py-3 align-top text-sm leading-6 text-slate-700 dark:text-slate-200 whitespace-pre-wrap max-w-xs"
+                    >
+                      {row[key] ?? "--"}
+                    </td>
+                  ))}
+                </tr>
+              );
+            })}
+            {padBottom > 0 && <tr aria-hidden="true" style={{ height: padBottom }} />}
+            {!rows.length && (
+              <tr>
+                <td
+                  colSpan={columns.length}
+                  className="px-4 py-10 text-center text-sm text-slate-500 dark:text-slate-300"
+                >
+                  No rows match the current search and filters.
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </>
+  );
+}
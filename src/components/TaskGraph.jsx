@@ -0,0 +1,210 @@
+import React from "react";
+import { EDGE_KINDS } from "../lib";
+
+/* -------------------- LAYOUT -------------------- */
+const LABEL_WIDTH = 170;
+const NODE_WIDTH = 190;
+const NODE_HEIGHT = 56;
+const COLUMN_GAP = 56;
+const LANE_HEIGHT = 112;
+const PADDING = 24;
+
+const EDGE_STYLES = {
+  [EDGE_KINDS.PREREQUISITE]: {
+    stroke: "#3b82f6",
+    dash: undefined,
+    label: "Prerequisite (runs before)",
+  },
+  [EDGE_KINDS.SAME_EXECUTOR]: { stroke: "#10b981", dash: "6 4", label: "Same executor" },
+  [EDGE_KINDS.DIFFERENT_EXECUTOR]: {
+    stroke: "#ef4444",
+    dash: "2 4",
+    label: "Cannot be same executor",
+  },
+};
+
+const truncate = (text = "", max = 26) => (text.length > max ? `${text.slice(0, max - 1)}…` : text);
+
+// -------------------- HELPER: Curve between two node boxes --------------------
+const edgePath = (from, to) => {
+  const fromMidY = from.y + NODE_HEIGHT / 2;
+  const toMidY = to.y + NODE_HEIGHT / 2;
+
+  // Target further right: leave from the right edge, enter on the left edge
+  if (to.x >= from.x + NODE_WIDTH) {
+    const x1 = from.x + NODE_WIDTH;
+    const dx = (to.x - x1) / 2;
+    return `M ${x1} ${fromMidY} C ${x1 + dx} ${fromMidY}, ${to.x - dx} ${toMidY}, ${
+      to.x
+    } ${toMidY}`;
+  }
+  // Different lane: go straight down / up between the lanes
+  if (to.y !== from.y) {
+    const down = to.y > from.y;
+    const y1 = down ? from.y + NODE_HEIGHT : from.y;
+    const y2 = down ? to.y : to.y + NODE_HEIGHT;
+    const x1 = from.x + NODE_WIDTH / 2;
+    const x2 = to.x + NODE_WIDTH / 2;
+    const dy = (y2 - y1) / 2;
+    return `M ${x1} ${y1} C ${x1} ${y1 + dy}, ${x2} ${y2 - dy}, ${x2} ${y2}`;
+  }
+  // Same lane, pointing backwards: arc over the top of the lane
+  const x1 = from.x + NODE_WIDTH / 2;
+  const x2 = to.x + NODE_WIDTH / 2;
+  const lift = from.y - 28;
+  return `M ${x1} ${from.y} C ${x1} ${lift}, ${x2} ${lift}, ${x2} ${from.y}`;
+};
+
+/* -------------------- TASK GRAPH -------------------- */
+export default function TaskGraph({ graph, darkMode, selectedTaskId, onSelectTask }) {
+  const positions = {};
+  graph.lanes.forEach((lane, laneIdx) =>
+    lane.tasks.forEach((task, taskIdx) => {
+      positions[task.id] = {
+        x: PADDING + LABEL_WIDTH + taskIdx * (NODE_WIDTH + COLUMN_GAP),
+        y: PADDING + laneIdx * LANE_HEIGHT + (LANE_HEIGHT - NODE_HEIGHT) / 2,
+      };
+    })
+  );
+
+  const maxTasks = Math.max(1, ...graph.lanes.map((lane) => lane.tasks.length));
+  const width = PADDING * 2 + LABEL_WIDTH + maxTasks * (NODE_WIDTH + COLUMN_GAP);
+  const height = PADDING * 2 + Math.max(1, graph.lanes.length) * LANE_HEIGHT;
+
+  const laneFill = (idx) =>
+    darkMode ? (idx % 2 ? "#111827" : "#0b1220") : idx % 2 ? "#f8fafc" : "#ffffff";
+  const textColor = darkMode ? "#e5e7eb" : "#0f172a";
+  const mutedColor = darkMode ? "#9ca3af" : "#64748b";
+
+  return (
+    <div className="space-y-3">
+      {/* Legend */}
+      <div className="flex flex-wrap gap-4 text-xs text-slate-500 dark:text-slate-300">
+        {Object.values(EDGE_STYLES).map((style) => (
+          <span key={style.label} className="flex items-center gap-2">
+            <svg width="32" height="8">
+              <line
+                x1="0"
+                y1="4"
+                x2="32"
+                y2="4"
+                stroke={style.stroke}
+                strokeWidth="2"
+                strokeDasharray={style.dash}
+              />
+            </svg>
+            {style.label}
+          </span>
+        ))}
+        <span>Click a task to filter the table to it.</span>
+      </div>
+
+      <div className="max-h-[520px] overflow-auto rounded-3xl">
+        <svg width={width} height={height} className="block">
+          <defs>
+            <marker
+              id="graph-arrow"
+              viewBox="0 0 10 10"
+              refX="9"
+              refY="5"
+              markerWidth="7"
+              markerHeight="7"
+              orient="auto-start-reverse"
+            >
+              <path d="M 0 0 L 10 5 L 0 10 z" fill={EDGE_STYLES[EDGE_KINDS.PREREQUISITE].stroke} />
+            </marker>
+          </defs>
+
+          {/* Swimlanes */}
+          {graph.lanes.map((lane, idx) => (
+            <g key={lane.id}>
+              <rect
+                x={0}
+                y={PADDING + idx * LANE_HEIGHT}
+                width={width}
+                height={LANE_HEIGHT}
+                fill={laneFill(idx)}
+              />
+              <text
+                x={PADDING}
+                y={PADDING + idx * LANE_HEIGHT + LANE_HEIGHT / 2 - 6}
+                fontSize="11"
+                fill={mutedColor}
+              >
+                {lane.ref}
+              </text>
+              <text
+                x={PADDING}
+                y={PADDING + idx * LANE_HEIGHT + LANE_HEIGHT / 2 + 10}
+                fontSize="13"
+                fontWeight="600"
+                fill={textColor}
+              >
+                <title>{lane.name}</title>
+                {truncate(lane.name, 20)}
+              </text>
+            </g>
+          ))}
+
+          {/* Edges */}
+          {graph.edges.map((edge, idx) => {
+            const style = EDGE_STYLES[edge.kind];
+            return (
+              <path
+                key={idx}
+                d={edgePath(positions[edge.from], positions[edge.to])}
+                fill="none"
+                stroke={style.stroke}
+                strokeWidth="1.75"
+                strokeDasharray={style.dash}
+                markerEnd={edge.kind === EDGE_KINDS.PREREQUISITE ? "url(#graph-arrow)" : undefined}
+              >
+                <title>{style.label}</title>
+              </path>
+            );
+          })}
+
+          {/* Task nodes */}
+          {graph.lanes.flatMap((lane) =>
+            lane.tasks.map((task) => {
+              const { x, y } = positions[task.id];
+              const selected = task.id === selectedTaskId;
+              return (
+                <g key={task.id} onClick={() => onSelectTask(task)} className="cursor-pointer">
+                  <title>{`${task.ref}: ${task.name} (${task.stageName})`}</title>
+                  <rect
+                    x={x}
+                    y={y}
+                    width={NODE_WIDTH}
+                    height={NODE_HEIGHT}
+                    rx="12"
+                    fill={selected ? "#2563eb" : darkMode ? "#1f2937" : "#ffffff"}
+                    stroke={selected ? "#1d4ed8" : darkMode ? "#374151" : "#cbd5e1"}
+                    strokeWidth="1.5"
+                  />
+                  <text
+                    x={x + 12}
+                    y={y + 21}
+                    fontSize="11"
+                    fill={selected ? "#dbeafe" : mutedColor}
+                  >
+                    {task.ref}
+                  </text>
+                  <text
+                    x={x + 12}
+                    y={y + 40}
+                    fontSize="13"
+                    fontWeight="600"
+                    fill={selected ? "#ffffff" : textColor}
+                  >
+                    {truncate(task.name)}
+                  </text>
+                </g>
+              );
+            })
+          )}
+        </svg>
+      </div>
+    </div>
+  );
+}
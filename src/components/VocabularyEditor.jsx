@@ -0,0 +1,229 @@
+import React, { useRef, useState } from "react";
+import { saveAs } from "file-saver";
+import {
+  mergeVocabulary,
+  parseVocabulary,
+  serializeVocabulary,
+  DEFAULT_VOCABULARY,
+  DESCRIPTION_PLACEHOLDERS,
+  VOCABULARY_SECTIONS,
+} from "../lib";
+import { CloseIcon, DownloadIcon, UploadIcon } from "./Icons";
+
+// -------------------- HELPER: Editable vocabulary with unmapped terms as blank entries --------------------
+const buildDraft = (overrides, unmappedTerms) => {
+  const draft = mergeVocabulary(overrides);
+  unmappedTerms.forEach(({ section, value }) => {
+    if (!draft[section][value]) draft[section] = { ...draft[section], [value]: "" };
+  });
+  return draft;
+};
+
+/* -------------------- VOCABULARY EDITOR -------------------- */
+export default function VocabularyEditor({
+  overrides,
+  unmappedTerms,
+  onSave,
+  onClose,
+  darkMode,
+  setToast,
+}) {
+  const [draft, setDraft] = useState(() => buildDraft(overrides, unmappedTerms));
+  const [newTerms, setNewTerms] = useState({});
+  const importRef = useRef(null);
+  const unmappedKeys = new Set(unmappedTerms.map(({ section, value }) => `${section}:${value}`));
+  const unmappedCounts = Object.fromEntries(
+    unmappedTerms.map(({ section, value, count }) => [`${section}:${value}`, count])
+  );
+
+  const setTerm = (section, key, label) =>
+    setDraft((prev) => ({ ...prev, [section]: { ...prev[section], [key]: label } }));
+
+  const addTerm = (section) => {
+    const { key = "", label = "" } = newTerms[section] || {};
+    const enumKey = key.trim().toUpperCase();
+    if (!enumKey || !label.trim()) return;
+    setTerm(section, enumKey, label);
+    setNewTerms((prev) => ({ ...prev, [section]: {} }));
+  };
+
+  /* -------------------- SAVE / IMPORT / EXPORT -------------------- */
+  const handleImport = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (!file) return;
+    try {
+      setDraft(buildDraft(parseVocabulary(await file.text()), unmappedTerms));
+    } catch (err) {
+      setToast({ type: "error", title: "Import failed", message: err.message });
+    }
+  };
+
+  const handleExport = () => {
+    saveAs(
+      new Blob([serializeVocabulary(draft)], { type: "application/json;charset=utf-8;" }),
+      "vocabulary.json"
+    );
+  };
+
+  const panelTone = darkMode ? "border-gray-800 bg-gray-950" : "border-slate-200 bg-white";
+  const inputTone = darkMode
+    ? "border-gray-700 bg-gray-900 text-gray-100"
+    : "border-slate-200 bg-white text-slate-700";
+
+  /* -------------------- UI -------------------- */
+  return (
+    <div className="fixed inset-0 z-40 flex items-center justify-center bg-black/40 p-4">
+      <div
+        className={`flex max-h-[90vh] w-full max-w-3xl flex-col rounded-3xl border shadow-xl ${panelTone}`}
+      >
+        <div className="flex items-center justify-between gap-4 border-b border-slate-200 p-6 dark:border-gray-800">
+          <div>
+            <p className="text-lg font-semibold">Vocabulary</p>
+            <p className="text-sm text-slate-500 dark:text-slate-300">
+              Wording used for platform enums in the narration, and the description written for
+              each parameter type. Blank entries keep the default wording, or the raw value when
+              there is none.
+              {unmappedTerms.length > 0 &&
+                ` ${unmappedTerms.length} value(s) in the loaded workflows have no wording yet.`}
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            className="rounded-full p-2 transition hover:bg-black/5 dark:hover:bg-white/10"
+          >
+            <CloseIcon className="h-5 w-5" />
+          </button>
+        </div>
+
+        <div className="space-y-8 overflow-auto p-6">
+          {Object.entries(VOCABULARY_SECTIONS).map(([section, title]) => (
+            <section key={section} className="space-y-2">
+              <p className="text-sm font-semibold uppercase tracking-wide text-slate-500 dark:text-slate-300">
+                {title}
+              </p>
+              {section === "descriptions" && (
+                <p className="text-xs text-slate-500 dark:text-slate-400">
+                  Keyed by parameter type; DEFAULT covers types without their own template.
+                  Placeholders:{" "}
+                  {Object.entries(DESCRIPTION_PLACEHOLDERS).map(([name, help], idx) => (
+                    <span key={name} title={help}>
+                      {idx > 0 && ", "}
+                      <code>{`{${name}}`}</code>
+                    </span>
+                  ))}
+                  . Text in [brackets] is left out when a placeholder inside it is empty.
+                </p>
+              )}
+              {Object.entries(draft[section])
+                .sort(
+                  ([a], [b]) =>
+                    unmappedKeys.has(`${section}:${b}`) - unmappedKeys.has(`${section}:${a}`) ||
+                    a.localeCompare(b)
+                )
+                .map(([key, label]) => {
+                  const isUnmapped = unmappedKeys.has(`${section}:${key}`);
+                  const isOverride = label !== (DEFAULT_VOCABULARY[section][key] ?? "");
+                  return (
+                    <div key={key} className="flex items-center gap-3">
+                      <code className="w-56 truncate text-xs" title={key}>
+                        {key}
+                      </code>
+                      <input
+                        value={label}
+                        onChange={(e) => setTerm(section, key, e.target.value)}
+                        placeholder="No wording yet"
+                        className={`flex-1 rounded-lg border px-3 py-1.5 text-sm ${inputTone} ${
+                          isUnmapped && !label ? "border-amber-400 dark:border-amber-500" : ""
+                        }`}
+                      />
+                      <span className="w-28 text-xs text-slate-500 dark:text-slate-400">
+                        {isUnmapped
+                          ? `Unmapped (${unmappedCounts[`${section}:${key}`]}×)`
+                          : isOverride
+                          ? "Project wording"
+                          : ""}
+                      </span>
+                    </div>
+                  );
+                })}
+              <div className="flex items-center gap-3">
+                <input
+                  value={newTerms[section]?.key || ""}
+                  onChange={(e) =>
+                    setNewTerms((prev) => ({
+                      ...prev,
+                      [section]: { ...prev[section], key: e.target.value },
+                    }))
+                  }
+                  placeholder="NEW_ENUM_VALUE"
+                  className={`w-56 rounded-lg border px-3 py-1.5 font-mono text-xs ${inputTone}`}
+                />
+                <input
+                  value={newTerms[section]?.label || ""}
+                  onChange={(e) =>
+                    setNewTerms((prev) => ({
+                      ...prev,
+                      [section]: { ...prev[section], label: e.target.value },
+                    }))
+                  }
+                  placeholder="Wording"
+                  className={`flex-1 rounded-lg border px-3 py-1.5 text-sm ${inputTone}`}
+                />
+                <button
+                  onClick={() => addTerm(section)}
+                  className="w-28 rounded-full border border-blue-600 px-3 py-1.5 text-sm font-semibold text-blue-600 transition hover:bg-blue-50 dark:hover:bg-blue-500/10"
+                >
+                  Add term
+                </button>
+              </div>
+            </section>
+          ))}
+        </div>
+
+        <div className="flex flex-wrap items-center justify-between gap-3 border-t border-slate-200 p-6 dark:border-gray-800">
+          <div className="flex flex-wrap gap-2">
+            <button
+              onClick={() => importRef.current?.click()}
+              className="flex items-center gap-2 rounded-full border border-blue-600 px-4 py-2 text-sm font-semibold text-blue-600 transition hover:bg-blue-50 dark:hover:bg-blue-500/10"
+            >
+              <UploadIcon className="h-4 w-4" />
+              Import JSON
+            </button>
+            <input
+              ref={importRef}
+              type="file"
+              accept=".json"
+              className="hidden"
+              onChange={handleImport}
+            />
+            <button
+              onClick={handleExport}
+              className="flex items-center gap-2 rounded-full border border-blue-600 px-4 py-2 text-sm font-semibold text-blue-600 transition hover:bg-blue-50 dark:hover:bg-blue-500/10"
+            >
+              <DownloadIcon className="h-4 w-4" />
+              Export JSON
+            </button>
+          </div>
+          <div className="flex flex-wrap gap-2">
+            <button
+              onClick={() => setDraft(buildDraft({}, unmappedTerms))}
+              className="rounded-full px-4 py-2 text-sm font-semibold text-red-600 transition hover:bg-red-50 dark:hover:bg-red-500/10"
+            >
+              Reset to defaults
+            </button>
+            <button
+              onClick={() => {
+                onSave(draft);
+                onClose();
+              }}
+              className="rounded-full bg-blue-600 px-5 py-2 text-sm font-semibold text-white shadow-sm transition hover:bg-blue-500"
+            >
+              Save vocabulary
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,60 @@
+import { isWorkflowFileName } from "../lib";
+
+/* -------------------- UPLOADED FILES --------------------
+ * Turns picked or dropped files into the { name, data } list readWorkflowFiles
+ * takes. Files inside folders are named by their path in the folder and only
+ * JSONs and ZIPs are kept; files picked one by one are passed on as they are.
+ */
+
+// -------------------- HELPER: FileSystemEntry callbacks as promises --------------------
+const readEntries = (reader) =>
+  new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+const entryFile = (entry) => new Promise((resolve, reject) => entry.file(resolve, reject));
+
+const collectEntry = async (entry, files, inFolder) => {
+  if (entry.isFile) {
+    if (inFolder && !isWorkflowFileName(entry.name)) return;
+    files.push({ name: entry.fullPath.replace(/^\//, ""), data: await entryFile(entry) });
+    return;
+  }
+  const reader = entry.createReader();
+  const children = [];
+  // Directory contents arrive in batches until an empty one
+  for (let batch = await readEntries(reader); batch.length; batch = await readEntries(reader)) {
+    children.push(...batch);
+  }
+  children.sort((a, b) => a.name.localeCompare(b.name));
+  for (const child of children) await collectEntry(child, files, true);
+};
+
+/**
+ * Files from a drop event, folders walked recursively.
+ * Call it synchronously in the drop handler: the entries are gone once the event returns.
+ *
+ * @param {DataTransfer} dataTransfer
+ * @returns {Promise<import("../lib/loadWorkflows.js").UploadedFile[]>}
+ */
+export const droppedFiles = (dataTransfer) => {
+  const entries = [...(dataTransfer.items || [])]
+    .filter((item) => item.kind === "file")
+    .map((item) => item.webkitGetAsEntry?.())
+    .filter(Boolean);
+  if (!entries.length) return Promise.resolve(inputFiles(dataTransfer.files));
+
+  return (async () => {
+    const files = [];
+    for (const entry of entries) await collectEntry(entry, files, false);
+    return files;
+  })();
+};
+
+/**
+ * Files from an <input type="file">, with or without `webkitdirectory`.
+ *
+ * @param {FileList} fileList
+ * @returns {import("../lib/loadWorkflows.js").UploadedFile[]}
+ */
+export const inputFiles = (fileList) =>
+  [...(fileList || [])]
+    .filter((file) => !file.webkitRelativePath || isWorkflowFileName(file.name))
+    .map((file) => ({ name: file.webkitRelativePath || file.name, data: file }));
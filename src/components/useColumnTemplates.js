@@ -0,0 +1,55 @@
+import { useEffect, useState } from "react";
+import { normalizeTemplate, DEFAULT_TEMPLATE, DEFAULT_TEMPLATE_NAME } from "../lib";
+
+const STORAGE_KEY = "narration-maker.columnTemplates";
+
+// -------------------- HELPER: Saved templates from localStorage --------------------
+const loadStored = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || "null");
+    return {
+      templates: (stored?.templates || []).map(normalizeTemplate),
+      activeName: stored?.activeName || DEFAULT_TEMPLATE_NAME,
+    };
+  } catch {
+    return { templates: [], activeName: DEFAULT_TEMPLATE_NAME };
+  }
+};
+
+/**
+ * Column templates saved in this browser. The built-in Default template
+ * (every column, original names) is always available and cannot be changed.
+ */
+export default function useColumnTemplates() {
+  const [state, setState] = useState(loadStored);
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+    } catch {
+      // Storage full or disabled: templates last for this session only
+    }
+  }, [state]);
+
+  const templates = [DEFAULT_TEMPLATE, ...state.templates];
+  const activeTemplate = templates.find((t) => t.name === state.activeName) || DEFAULT_TEMPLATE;
+
+  const setActiveName = (activeName) => setState((prev) => ({ ...prev, activeName }));
+
+  // Saves (or replaces, by name) a template and makes it the active one
+  const saveTemplate = (template) => {
+    const saved = normalizeTemplate(template);
+    setState((prev) => ({
+      templates: [...prev.templates.filter((t) => t.name !== saved.name), saved],
+      activeName: saved.name,
+    }));
+  };
+
+  const deleteTemplate = (name) =>
+    setState((prev) => ({
+      templates: prev.templates.filter((t) => t.name !== name),
+      activeName: prev.activeName === name ? DEFAULT_TEMPLATE_NAME : prev.activeName,
+    }));
+
+  return { templates, activeTemplate, setActiveName, saveTemplate, deleteTemplate };
+}
@@ -0,0 +1,79 @@
+import { useLayoutEffect, useMemo, useRef, useState } from "react";
+
+// -------------------- HELPER: Last index whose offset is <= target --------------------
+const findIndex = (offsets, target) => {
+  let low = 0;
+  let high = offsets.length - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (offsets[mid] <= target) low = mid;
+    else high = mid - 1;
+  }
+  return low;
+};
+
+/**
+ * Windowing for a scrollable table whose rows have different heights. Only
+ * the rows in (or near) the viewport are rendered; spacer rows stand in for
+ * the rest. Heights start as an estimate and are replaced by measured values
+ * as rows render.
+ *
+ * @param {number} count Number of rows.
+ * @param {Object} [options]
+ * @param {number} [options.estimateHeight] Height in px assumed for unmeasured rows.
+ * @param {number} [options.overscan] Extra rows rendered above and below the viewport.
+ * @param {*} [options.resetKey] Clears measured heights when it changes (e.g. the row array).
+ */
+export default function useVirtualRows(
+  count,
+  { estimateHeight = 72, overscan = 8, resetKey } = {}
+) {
+  const containerRef = useRef(null);
+  const dirtyRef = useRef(false);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewportHeight, setViewportHeight] = useState(520);
+  const [measureVersion, setMeasureVersion] = useState(0);
+
+  // Measured heights by row index, recreated whenever the rows change
+  const heights = useMemo(() => [], [resetKey]);
+
+  const offsets = useMemo(() => {
+    const result = new Array(count + 1);
+    result[0] = 0;
+    for (let i = 0; i < count; i += 1) result[i + 1] = result[i] + (heights[i] ?? estimateHeight);
+    return result;
+  }, [count, heights, estimateHeight, measureVersion]);
+
+  const start = Math.max(0, findIndex(offsets, scrollTop) - overscan);
+  const end = Math.min(count, findIndex(offsets, scrollTop + viewportHeight) + 1 + overscan);
+
+  // Re-render once after new heights were measured so the spacers line up
+  useLayoutEffect(() => {
+    if (containerRef.current) setViewportHeight(containerRef.current.clientHeight || 520);
+    if (dirtyRef.current) {
+      dirtyRef.current = false;
+      setMeasureVersion((v) => v + 1);
+    }
+  });
+
+  const measureRow = (index) => (el) => {
+    if (!el) return;
+    const height = el.getBoundingClientRect().height;
+    if (height && heights[index] !== height) {
+      heights[index] = height;
+      dirtyRef.current = true;
+    }
+  };
+
+  const onScroll = (event) => setScrollTop(event.currentTarget.scrollTop);
+
+  return {
+    containerRef,
+    onScroll,
+    start,
+    end,
+    padTop: offsets[start],
+    padBottom: offsets[count] - offsets[end],
+    measureRow,
+  };
+}
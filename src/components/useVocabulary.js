@@ -0,0 +1,38 @@
+import { useEffect, useState } from "react";
+import { vocabularyOverrides, mergeVocabulary } from "../lib";
+
+const STORAGE_KEY = "narration-maker.vocabulary";
+
+// -------------------- HELPER: Saved overrides from localStorage --------------------
+const loadStored = () => {
+  try {
+    return vocabularyOverrides(mergeVocabulary(JSON.parse(localStorage.getItem(STORAGE_KEY) || "{}")));
+  } catch {
+    return vocabularyOverrides(mergeVocabulary());
+  }
+};
+
+/**
+ * Project vocabulary overrides saved in this browser. Only the terms that
+ * differ from the default vocabulary are stored.
+ */
+export default function useVocabulary() {
+  const [overrides, setOverrides] = useState(loadStored);
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(overrides));
+    } catch {
+      // Storage full or disabled: overrides last for this session only
+    }
+  }, [overrides]);
+
+  // Returns the cleaned overrides so callers can use them before the state updates
+  const saveOverrides = (vocabulary) => {
+    const next = vocabularyOverrides(mergeVocabulary(vocabulary));
+    setOverrides(next);
+    return next;
+  };
+
+  return { overrides, saveOverrides };
+}
@@ -0,0 +1,85 @@
+import { formatUom } from "./formatters.js";
+
+/**
+ * A variable of a calculation parameter.
+ *
+ * @typedef {Object} CalculationVariable
+ * @property {string} name        Name used in the expression.
+ * @property {string|null} parameterId Source parameter, when configured.
+ * @property {string|null} label  Label of the source parameter; null when it cannot be resolved.
+ */
+
+// -------------------- HELPER: Variables as a list ({ name: {...} } or [{ name, ... }]) --------------------
+const listVariables = (variables) =>
+  Array.isArray(variables)
+    ? variables.map((v) => ({ ...v, name: v?.name ?? v?.variableName ?? v?.label }))
+    : Object.entries(variables || {}).map(([name, v]) => ({ ...v, name }));
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Reads a calculation parameter: its variables resolved to source parameter
+ * labels, and the expression with every variable replaced by "[label]".
+ *
+ * @param {import("./workflowContext.js").WorkflowContext} ctx
+ * @param {Object} param A CALCULATION parameter.
+ * @returns {{ expression: string, formula: string, variables: CalculationVariable[],
+ *   unresolved: CalculationVariable[], unit: string, precision: number|null }}
+ */
+export const readCalculation = (ctx, param) => {
+  const { parameterMap } = ctx;
+  const data = param.data || {};
+  const expression = String(data.expression ?? "");
+
+  const variables = listVariables(data.variables)
+    .filter((v) => v.name)
+    .map((v) => {
+      const parameterId = v.parameterId ?? v.referencedParameterId ?? null;
+      return {
+        name: String(v.name),
+        parameterId,
+        label: parameterId != null ? parameterMap[parameterId] ?? null : null,
+      };
+    });
+
+  // Longest names first, so "ab" is not replaced as "a" + "b"; {name} / {{name}} wrappers go too
+  const byName = Object.fromEntries(variables.map((v) => [v.name, v]));
+  const names = Object.keys(byName).sort((a, b) => b.length - a.length);
+  const formula = names.length
+    ? expression.replace(
+        new RegExp(`\\{{0,2}(?<![\\w.])(${names.map(escapeRegExp).join("|")})(?![\\w.])\\}{0,2}`, "g"),
+        (match, name) => `[${byName[name].label ?? name}]`
+      )
+    : expression;
+
+  return {
+    expression,
+    formula,
+    variables,
+    unresolved: variables.filter((v) => v.label === null),
+    unit: formatUom(data.uom),
+    precision: Number.isInteger(data.precision) ? data.precision : null,
+  };
+};
+
+/**
+ * "Options / Values" text of a calculation parameter.
+ *
+ * @param {import("./workflowContext.js").WorkflowContext} ctx
+ * @param {Object} param
+ * @returns {string} Empty when the parameter has no expression.
+ */
+export const getCalculationText = (ctx, param) => {
+  const { formula, unresolved, unit, precision } = readCalculation(ctx, param);
+  if (!formula) return "";
+  const lines = [`Formula: ${formula}`];
+  if (unit) lines.push(`Output unit: ${unit}`);
+  if (precision !== null) lines.push(`Precision: ${precision} decimal place${precision === 1 ? "" : "s"}`);
+  if (unresolved.length) {
+    const details = unresolved.map((v) =>
+      v.parameterId != null ? `${v.name} (parameter ID ${v.parameterId} not found)` : `${v.name} (no source parameter)`
+    );
+    lines.push(`⚠ Unresolved variables: ${details.join(", ")}`);
+  }
+  return lines.join("\n");
+};
@@ -0,0 +1,72 @@
+import { describe, expect, it } from "vitest";
+import { getCalculationText, readCalculation } from "./calculation.js";
+import { buildWorkflowContext } from "./workflowContext.js";
+
+const ctx = buildWorkflowContext({
+  parameterRequests: [
+    { id: "gross", label: "Gross weight" },
+    { id: "tare", label: "Tare weight" },
+  ],
+  stageRequests: [],
+});
+
+describe("readCalculation", () => {
+  it("replaces each variable with its parameter's label", () => {
+    const param = {
+      data: {
+        expression: "{{g}} - t + g2",
+        variables: {
+          g: { parameterId: "gross" },
+          t: { parameterId: "tare" },
+          g2: { parameterId: "gross" },
+        },
+      },
+    };
+    expect(readCalculation(ctx, param).formula).toBe(
+      "[Gross weight] - [Tare weight] + [Gross weight]"
+    );
+  });
+
+  it("accepts variables listed as an array", () => {
+    const param = {
+      data: {
+        expression: "net * 2",
+        variables: [{ variableName: "net", referencedParameterId: "gross" }],
+      },
+    };
+    expect(readCalculation(ctx, param).formula).toBe("[Gross weight] * 2");
+  });
+});
+
+describe("getCalculationText", () => {
+  it("lists the formula, output unit and precision", () => {
+    const param = {
+      data: {
+        expression: "g - t",
+        variables: { g: { parameterId: "gross" }, t: { parameterId: "tare" } },
+        uom: { symbol: "kg" },
+        precision: 1,
+      },
+    };
+    expect(getCalculationText(ctx, param)).toBe(
+      "Formula: [Gross weight] - [Tare weight]\nOutput unit: kg\nPrecision: 1 decimal place"
+    );
+  });
+
+  it("warns about variables without a parameter in the workflow", () => {
+    const param = {
+      data: {
+        expression: "g - x - y",
+        variables: { g: { parameterId: "gross" }, x: { parameterId: "p9" }, y: {} },
+      },
+    };
+    expect(getCalculationText(ctx, param)).toBe(
+      "Formula: [Gross weight] - [x] - [y]\n" +
+        "⚠ Unresolved variables: x (parameter ID p9 not found), y (no source parameter)"
+    );
+  });
+
+  it("is empty without an expression", () => {
+    expect(getCalculationText(ctx, { data: {} })).toBe("");
+  });
+});
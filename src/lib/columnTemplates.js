@@ -0,0 +1,181 @@
+/**
+ * Every narration column, in the order convertWorkflow produces them.
+ * Keep in sync with the row built by buildRowEntries / makeRow.
+ */
+export const NARRATION_COLUMNS = [
+  "Workflow Name",
+  "Source File",
+  "Row Type",
+  "Stage Name",
+  "Activity Name",
+  "Performer",
+  "Activity Description in detail",
+  "Instruction Title",
+  "Options / Values",
+  "Field Type",
+  "Activity / Parameter Type",
+  "Dependencies",
+  "Executor Lock",
+  "Branching",
+  "Visibility",
+  "Controls",
+  "Filters",
+  "Validations",
+  "Automation Details",
+  "Task Description",
+  "Timer",
+  "Scheduling",
+  "Media",
+  "Task Settings",
+  "Configuration Feasibility",
+  "Configuration Feasibility Notes",
+  "Configuration Status",
+  "IS SELF VERIFICATION PRESENT?",
+  "Tester Comments",
+  "IS PEER VERIFICATION PRESENT?",
+  "Tester Comments (B)",
+  "Stage ID",
+  "Task ID",
+  "Parameter ID",
+  "Stage Order",
+  "Task Order",
+  "Task Ref",
+  "Row Key",
+  "Review Flag",
+];
+
+/**
+ * Columns only some conversions produce (the identifier columns of the
+ * `includeIds` option, "Row Type" of the `taskRows` option, "Review Flag"
+ * after merging a reviewed spreadsheet).
+ * Templates list them, but they are left out of the preview and exports when
+ * the rows do not carry them.
+ */
+export const OPTIONAL_COLUMNS = [
+  "Row Type",
+  "Stage ID",
+  "Task ID",
+  "Parameter ID",
+  "Stage Order",
+  "Task Order",
+  "Task Ref",
+  "Review Flag",
+];
+
+/**
+ * One column of a template.
+ *
+ * @typedef {Object} TemplateColumn
+ * @property {string} key      Narration column name (see {@link NARRATION_COLUMNS}).
+ * @property {string} label    Header used in the preview and exports.
+ * @property {boolean} visible Hidden columns are left out of the preview and exports.
+ */
+
+/**
+ * A named export layout: which columns to show, what to call them and in which order.
+ *
+ * @typedef {Object} ColumnTemplate
+ * @property {string} name
+ * @property {TemplateColumn[]} columns In output order.
+ */
+
+export const DEFAULT_TEMPLATE_NAME = "Default";
+
+/** @type {ColumnTemplate} */
+export const DEFAULT_TEMPLATE = {
+  name: DEFAULT_TEMPLATE_NAME,
+  columns: NARRATION_COLUMNS.map((key) => ({ key, label: key, visible: true })),
+};
+
+/**
+ * Brings a template in line with the current column set: unknown keys are
+ * dropped and columns the template does not mention are appended, visible,
+ * so columns added to the narration later still show up.
+ *
+ * @param {ColumnTemplate} template
+ * @returns {ColumnTemplate}
+ */
+export const normalizeTemplate = (template) => {
+  const seen = new Set();
+  const columns = [];
+  (template.columns || []).forEach((col) => {
+    if (!NARRATION_COLUMNS.includes(col.key) || seen.has(col.key)) return;
+    seen.add(col.key);
+    columns.push({
+      key: col.key,
+      label: String(col.label ?? "").trim() || col.key,
+      visible: col.visible !== false,
+    });
+  });
+  NARRATION_COLUMNS.forEach((key) => {
+    if (!seen.has(key)) columns.push({ key, label: key, visible: true });
+  });
+  // Labels become row keys, so two columns cannot share one
+  const labels = new Set();
+  columns.forEach((col) => {
+    const base = col.label;
+    for (let n = 2; labels.has(col.label.toLowerCase()); n += 1) col.label = `${base} (${n})`;
+    labels.add(col.label.toLowerCase());
+  });
+  return { name: String(template.name ?? "").trim() || "Untitled template", columns };
+};
+
+/**
+ * Visible columns of a template, in output order. Optional columns are only
+ * included when the given rows carry them.
+ *
+ * @param {ColumnTemplate} template
+ * @param {Object[]} [rows]
+ * @returns {TemplateColumn[]}
+ */
+export const visibleColumns = (template, rows = []) =>
+  normalizeTemplate(template).columns.filter(
+    (col) => col.visible && (!OPTIONAL_COLUMNS.includes(col.key) || rows.some((row) => col.key in row))
+  );
+
+/**
+ * Re-keys narration rows to a template: hidden columns are removed, the rest
+ * renamed and ordered as the template says. Ready for rowsToCSV / rowsToWorkbook.
+ *
+ * @param {Object[]} rows Narration rows keyed by {@link NARRATION_COLUMNS}.
+ * @param {ColumnTemplate} [template]
+ * @returns {Object[]}
+ */
+export const applyTemplate = (rows, template = DEFAULT_TEMPLATE) => {
+  const columns = visibleColumns(template, rows);
+  return rows.map((row) =>
+    Object.fromEntries(columns.map((col) => [col.label, row[col.key] ?? ""]))
+  );
+};
+
+/**
+ * Parses a template exported as JSON.
+ *
+ * @param {string} text
+ * @returns {ColumnTemplate}
+ * @throws {Error} When the JSON is invalid or is not a column template.
+ */
+export const parseTemplate = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Invalid template JSON: ${err.message}`);
+  }
+  const isTemplate =
+    Array.isArray(parsed?.columns) && parsed.columns.every((col) => typeof col?.key === "string");
+  if (!isTemplate) {
+    throw new Error(
+      'Not a column template: expected { "name", "columns": [{ "key", "label", "visible" }] }'
+    );
+  }
+  return normalizeTemplate(parsed);
+};
+
+/**
+ * Serializes a template for export / sharing.
+ *
+ * @param {ColumnTemplate} template
+ * @returns {string}
+ */
+export const serializeTemplate = (template) => JSON.stringify(normalizeTemplate(template), null, 2);
@@ -0,0 +1,79 @@
+import { describe, expect, it } from "vitest";
+import {
+  applyTemplate,
+  NARRATION_COLUMNS,
+  normalizeTemplate,
+  parseTemplate,
+  serializeTemplate,
+} from "./columnTemplates.js";
+
+describe("normalizeTemplate", () => {
+  it("drops unknown and repeated keys and appends the columns it does not mention", () => {
+    const { name, columns } = normalizeTemplate({
+      name: "  ",
+      columns: [
+        { key: "Field Type", label: "Required?", visible: false },
+        { key: "Colour", label: "Colour" },
+        { key: "Field Type", label: "Again" },
+        { key: "Stage Name", label: " " },
+      ],
+    });
+    expect(name).toBe("Untitled template");
+    expect(columns.slice(0, 3)).toEqual([
+      { key: "Field Type", label: "Required?", visible: false },
+      { key: "Stage Name", label: "Stage Name", visible: true },
+      { key: "Workflow Name", label: "Workflow Name", visible: true },
+    ]);
+    expect(columns.map((col) => col.key).sort()).toEqual([...NARRATION_COLUMNS].sort());
+  });
+
+  it("numbers labels that two columns would share", () => {
+    const { columns } = normalizeTemplate({
+      name: "Review",
+      columns: [
+        { key: "Tester Comments", label: "Comments" },
+        { key: "Tester Comments (B)", label: "comments" },
+      ],
+    });
+    expect(columns.slice(0, 2).map((col) => col.label)).toEqual(["Comments", "comments (2)"]);
+  });
+});
+
+describe("applyTemplate", () => {
+  it("hides, renames and reorders the columns of each row", () => {
+    const hidden = NARRATION_COLUMNS.map((key) => ({ key, label: key, visible: false }));
+    const template = {
+      name: "Short",
+      columns: [
+        { key: "Instruction Title", label: "Parameter", visible: true },
+        { key: "Stage Name", label: "Stage", visible: true },
+        ...hidden,
+      ],
+    };
+    const rows = [
+      { "Stage Name": "Mixing", "Instruction Title": "Speed", "Field Type": "Optional" },
+    ];
+    const [row] = applyTemplate(rows, template);
+    expect(Object.entries(row)).toEqual([
+      ["Parameter", "Speed"],
+      ["Stage", "Mixing"],
+    ]);
+  });
+});
+
+describe("parseTemplate", () => {
+  it("reads back a serialized template", () => {
+    const template = normalizeTemplate({
+      name: "Tester",
+      columns: [{ key: "Tester Comments", label: "Notes", visible: true }],
+    });
+    expect(parseTemplate(serializeTemplate(template))).toEqual(template);
+  });
+
+  it("rejects invalid JSON and JSON that is not a template", () => {
+    expect(() => parseTemplate("{ name")).toThrow(/^Invalid template JSON/);
+    expect(() => parseTemplate('{ "columns": [{ "label": "Stage" }] }')).toThrow(
+      /^Not a column template/
+    );
+  });
+});
@@ -0,0 +1,267 @@
+import { buildWorkflowContext, CJF_STAGE_NAME, getWorkflowName } from "./workflowContext.js";
+import { buildAutomationText, makeRow, makeStageRow, makeTaskRow } from "./narration.js";
+import { lintWorkflow } from "./lintWorkflow.js";
+import { IMPORT_PHASES } from "./loadWorkflows.js";
+import { normalizeWorkflow } from "./normalizeWorkflow.js";
+import { orderWorkflow } from "./orderWorkflow.js";
+
+export { CJF_STAGE_NAME, getWorkflowName };
+
+export const ROW_KEY_COLUMN = "Row Key";
+
+/** Added with the `taskRows` option: "Stage", "Task" or "Parameter". */
+export const ROW_TYPE_COLUMN = "Row Type";
+
+export const ROW_TYPES = { STAGE: "Stage", TASK: "Task", PARAMETER: "Parameter" };
+
+/**
+ * Identifier columns added with the `includeIds` option. "Task Ref" is the
+ * "Task 2.3" number the Dependencies and Executor Lock columns refer to.
+ */
+export const ID_COLUMNS = ["Stage ID", "Task ID", "Parameter ID", "Stage Order", "Task Order", "Task Ref"];
+
+/**
+ * Stable key of a narration row, built from the stage, task and parameter ids
+ * ("<stageId>:<taskId>:<parameterId>", or "cjf:<parameterId>" for Create Job
+ * Form rows). Unlike the display names it survives renames, so edited
+ * spreadsheets can be matched back to a fresh extraction. Stage and task
+ * header rows leave out the parts below them ("<stageId>", "<stageId>:<taskId>", "cjf").
+ *
+ * @param {Object|null} stage
+ * @param {Object|null} task
+ * @param {Object|null} param
+ * @returns {string}
+ */
+export const getRowKey = (stage, task, param) => {
+  const parts = stage ? [stage.id ?? stage.name] : ["cjf"];
+  if (task) parts.push(task.id ?? task.name);
+  if (param) parts.push(param.id ?? param.label);
+  return parts.join(":");
+};
+
+// -------------------- HELPER: Identifier columns of one row --------------------
+const getIdColumns = (ctx, stage, task, param) => {
+  const taskInfo = task ? ctx.lookupTask(task.id) : null;
+  return {
+    "Stage ID": stage?.id ?? "",
+    "Task ID": task?.id ?? "",
+    "Parameter ID": param?.id ?? "",
+    "Stage Order": taskInfo?.stageOrder ?? "",
+    "Task Order": taskInfo?.taskOrder ?? "",
+    "Task Ref": taskInfo ? `Task ${taskInfo.stageOrder}.${taskInfo.taskOrder}` : "",
+  };
+};
+
+/**
+ * Narration rows for one workflow, with where they came from.
+ *
+ * @typedef {Object} WorkflowGroup
+ * @property {string} workflowName Display name of the workflow.
+ * @property {string} sourceFile   File (or ZIP entry) the workflow was read from.
+ * @property {Object[]} rows       Narration rows for this workflow only.
+ * @property {Object} workflow     The workflow the rows were built from, in the import format
+ *   and in narration order.
+ * @property {Object} sourceWorkflow The same workflow in the order of the JSON, for converting
+ *   it again with other options.
+ * @property {string} format       Shape the JSON came in, one of WORKFLOW_FORMATS.
+ * @property {string[]} unrecognizedFields Field paths in the JSON the narration does not read.
+ * @property {import("./lintWorkflow.js").WorkflowIssue[]} issues Configuration problems found.
+ * @property {import("./formatters.js").UnmappedTerm[]} unmappedTerms Enum values the vocabulary
+ *   has no wording for.
+ */
+
+/**
+ * A narration row together with the workflow objects it was built from.
+ *
+ * @typedef {Object} RowEntry
+ * @property {Object|null} stage Source stage (null for Create Job Form rows).
+ * @property {Object|null} task  Source task (null for Create Job Form and stage header rows).
+ * @property {Object|null} param Source parameter (null for stage and task header rows).
+ * @property {Object} row        The narration row.
+ */
+
+// -------------------- HELPER: Row entries, `location` following the item being narrated --------------------
+const buildEntries = (wf, options, location) => {
+  const ctx = buildWorkflowContext(wf, { vocabulary: options.vocabulary });
+  const source = {
+    "Workflow Name": options.workflowName || getWorkflowName(wf),
+    "Source File": options.sourceFile || "",
+  };
+  const entries = [];
+  const { taskRows } = options;
+  const pushRow = (stage, task, param, row) =>
+    entries.push({
+      stage,
+      task,
+      param,
+      row: {
+        ...source,
+        ...(taskRows
+          ? { [ROW_TYPE_COLUMN]: param ? ROW_TYPES.PARAMETER : task ? ROW_TYPES.TASK : ROW_TYPES.STAGE }
+          : {}),
+        ...row,
+        ...(options.includeIds ? getIdColumns(ctx, stage, task, param) : {}),
+        [ROW_KEY_COLUMN]: getRowKey(stage, task, param),
+      },
+    });
+
+  // -------------------- PROCESS CJF PARAMETERS --------------------
+  const cjfParams = wf.parameterRequests || [];
+  const cjfLastIndex = cjfParams.length - 1;
+  if (taskRows && cjfParams.length) pushRow(null, null, null, makeStageRow(ctx, CJF_STAGE_NAME));
+  cjfParams.forEach((p, idx) => {
+    Object.assign(location, { stage: CJF_STAGE_NAME, task: "", parameter: p?.label ?? "" });
+    const isLastParam = idx === cjfLastIndex;
+    pushRow(null, null, p, makeRow(ctx, CJF_STAGE_NAME, p.label, p, "", null, isLastParam));
+  });
+
+  // -------------------- PROCESS STAGES --------------------
+  wf.stageRequests?.forEach((stage) => {
+    Object.assign(location, { stage: stage?.name ?? "", task: "", parameter: "" });
+    if (taskRows) pushRow(stage, null, null, makeStageRow(ctx, stage.name, stage.description));
+    stage.taskRequests?.forEach((task) => {
+      Object.assign(location, { task: task?.name ?? "", parameter: "" });
+      const automationText = buildAutomationText(ctx, task);
+      const params = task.parameterRequests || [];
+      const lastIndex = params.length - 1;
+
+      // Header rows carry the task-level narration, so parameter rows only hold their own
+      if (taskRows) pushRow(stage, task, null, makeTaskRow(ctx, stage.name, task, automationText));
+      params.forEach((p, idx) => {
+        location.parameter = p?.label ?? "";
+        const isLastParam = !taskRows && idx === lastIndex;
+        pushRow(stage, task, p, makeRow(ctx, stage.name, task.name, p, automationText, task, isLastParam));
+      });
+    });
+  });
+
+  return { ctx, entries };
+};
+
+/**
+ * Builds the narration rows for a single workflow and keeps a link from each
+ * row back to its stage, task and parameter. Used by features that need to
+ * match rows across extractions (diffs, re-imports).
+ *
+ * When narrating a stage, task or parameter throws, the error gets a
+ * `location` ({ stage, task, parameter }) saying where.
+ *
+ * @param {Object} wf Workflow JSON in the stageRequests import format.
+ * @param {Object} [options] See {@link convertWorkflow}.
+ * @returns {{ ctx: import("./workflowContext.js").WorkflowContext, entries: RowEntry[] }}
+ */
+export const buildRowEntries = (wf, options = {}) => {
+  const location = { stage: "", task: "", parameter: "" };
+  try {
+    return buildEntries(wf, options, location);
+  } catch (err) {
+    if (err instanceof Error) err.location = { ...location };
+    throw err;
+  }
+};
+
+// -------------------- HELPER: Workflow in the order it is narrated in --------------------
+const narrationOrder = (wf, options) => (options.sourceOrder ? wf : orderWorkflow(wf));
+
+/**
+ * Converts a single workflow JSON into narration rows.
+ *
+ * Each row is a plain object keyed by column name ("Workflow Name",
+ * "Source File", "Stage Name", ... "Tester Comments (B)", "Row Key"), ready for
+ * Papa.unparse or XLSX.utils.json_to_sheet. Create Job Form parameters come
+ * first, followed by the stage rows. Stages, tasks and parameters are sorted by
+ * their `orderTree` unless `sourceOrder` is set.
+ *
+ * @param {Object} wf Workflow JSON in any shape {@link normalizeWorkflow} recognizes.
+ * @param {Object} [options]
+ * @param {string} [options.sourceFile] File name recorded on every row.
+ * @param {string} [options.workflowName] Overrides the name taken from the JSON.
+ * @param {Partial<import("./vocabulary.js").Vocabulary>} [options.vocabulary] Project wording
+ *   for constraints, exception types, selectors and units.
+ * @param {boolean} [options.includeIds] Adds the {@link ID_COLUMNS} before "Row Key".
+ * @param {boolean} [options.taskRows] Adds a header row per stage and task (see
+ *   {@link ROW_TYPE_COLUMN}). Task rows carry dependencies, executor locks,
+ *   automations and the task description; every task gets one, even without parameters.
+ * @param {boolean} [options.sourceOrder] Keeps stages, tasks and parameters in the order
+ *   of the JSON arrays instead of sorting them by `orderTree`.
+ * @returns {Object[]} Narration rows.
+ */
+export const convertWorkflow = (wf, options = {}) => {
+  const workflow = narrationOrder(normalizeWorkflow(wf).workflow, options);
+  return buildRowEntries(workflow, options).entries.map((entry) => entry.row);
+};
+
+/**
+ * Converts loaded workflows one by one, keeping each workflow's rows apart so
+ * they can be previewed or exported per workflow. Each workflow is first
+ * mapped onto the import format (see {@link normalizeWorkflow}); workflows
+ * whose shape is not recognized fail like any other.
+ *
+ * Without `onFailure` the first workflow that cannot be narrated throws. With
+ * it, that workflow is reported (with the stage, task and parameter where it
+ * failed) and left out, and the others are still converted.
+ *
+ * @param {import("./loadWorkflows.js").LoadedWorkflow[]} loaded
+ * @param {Object} [options] Passed through to {@link convertWorkflow}.
+ * @param {(progress: { workflowName: string, current: number, total: number }) => void} [options.onProgress]
+ *   Called after each workflow is converted.
+ * @param {(failure: import("./loadWorkflows.js").ImportFailure) => void} [options.onFailure]
+ *   Called for each workflow that cannot be converted.
+ * @returns {WorkflowGroup[]}
+ */
+export const convertWorkflowGroups = (loaded, options = {}) => {
+  const { onProgress, onFailure, ...convertOptions } = options;
+  const groups = [];
+  loaded.forEach(({ fileName = "", workflow: raw, format: knownFormat }, idx) => {
+    let workflowName = getWorkflowName(raw, `Workflow ${idx + 1}`);
+    try {
+      // Workflows converted before (e.g. re-run with other options) are already normalized
+      const { workflow: sourceWorkflow, format, unrecognizedFields } = knownFormat
+        ? { workflow: raw, format: knownFormat, unrecognizedFields: loaded[idx].unrecognizedFields }
+        : normalizeWorkflow(raw);
+      const workflow = narrationOrder(sourceWorkflow, convertOptions);
+      workflowName = getWorkflowName(workflow, workflowName);
+      const { ctx, entries } = buildRowEntries(workflow, {
+        ...convertOptions,
+        workflowName,
+        sourceFile: fileName,
+      });
+      groups.push({
+        workflowName,
+        sourceFile: fileName,
+        rows: entries.map((entry) => entry.row),
+        workflow,
+        sourceWorkflow,
+        format,
+        unrecognizedFields: unrecognizedFields || [],
+        issues: lintWorkflow(workflow),
+        unmappedTerms: ctx.terms.unmapped(),
+      });
+    } catch (err) {
+      if (!onFailure) throw err;
+      onFailure({
+        phase: IMPORT_PHASES.CONVERT,
+        fileName,
+        workflowName,
+        stage: "",
+        task: "",
+        parameter: "",
+        ...err.location,
+        message: err.message,
+      });
+    }
+    onProgress?.({ workflowName, current: idx + 1, total: loaded.length });
+  });
+  return groups;
+};
+
+/**
+ * Converts several workflows into one combined row set. Rows stay grouped by
+ * workflow, each starting with its own Create Job Form section.
+ *
+ * @param {import("./loadWorkflows.js").LoadedWorkflow[]} loaded
+ * @param {Object} [options] Passed through to {@link convertWorkflow}.
+ * @returns {Object[]} Narration rows.
+ */
+export const convertWorkflows = (loaded, options = {}) =>
+  convertWorkflowGroups(loaded, options).flatMap((group) => group.rows);
@@ -0,0 +1,302 @@
+import { describe, expect, it } from "vitest";
+import {
+  convertWorkflow,
+  convertWorkflowGroups,
+  ID_COLUMNS,
+  ROW_KEY_COLUMN,
+} from "./convertWorkflow.js";
+
+describe("convertWorkflow", () => {
+  it("writes one row per parameter with task-level columns on the task's last one", () => {
+    const rows = convertWorkflow({
+      stageRequests: [
+        {
+          id: "s1",
+          name: "Dispensing",
+          taskRequests: [
+            { id: "t1", name: "Weigh", parameterRequests: [{ id: "p1", label: "Gross" }] },
+            {
+              id: "t2",
+              name: "Label",
+              prerequisiteTaskIds: ["t1"],
+              parameterRequests: [
+                { id: "p2", label: "Printer", data: [{ name: "Zebra" }, { name: "Brady" }] },
+                { id: "p3", label: "Label applied" },
+              ],
+            },
+          ],
+        },
+      ],
+    });
+    expect(rows.map((row) => [row["Activity Name"], row["Instruction Title"]])).toEqual([
+      ["Weigh", "Gross"],
+      ["Label", "Printer"],
+      ["Label", "Label applied"],
+    ]);
+    expect(rows[1]["Options / Values"]).toBe("Zebra • Brady");
+    expect(rows[1]["Dependencies"]).toBe("N/A");
+    expect(rows[2]["Dependencies"]).toBe(
+      "Tasks that need to be executed before this task:\nStage 1: Dispensing\n  → Task 1.1: Weigh"
+    );
+  });
+
+  it("narrates the Create Job Form parameters under their own stage name", () => {
+    const rows = convertWorkflow({
+      parameterRequests: [{ id: "c1", label: "Batch No", mandatory: true }],
+      stageRequests: [],
+    });
+    expect(rows).toHaveLength(1);
+    expect(rows[0]).toMatchObject({
+      "Stage Name": "Create Job Form",
+      "Instruction Title": "Batch No",
+      "Field Type": "Mandatory",
+    });
+  });
+});
+
+describe("convertWorkflowGroups", () => {
+  it("names each workflow and its source file on every row", () => {
+    const groups = convertWorkflowGroups([
+      {
+        fileName: "exports.zip/line.json",
+        workflow: {
+          name: "Line Clearance",
+          stageRequests: [
+            {
+              id: "s1",
+              name: "Preparation",
+              taskRequests: [
+                {
+                  id: "t1",
+                  name: "Inspect",
+                  parameterRequests: [{ id: "p1", label: "Area clean" }],
+                },
+              ],
+            },
+          ],
+        },
+      },
+      { fileName: "untitled.json", workflow: { stageRequests: [] } },
+    ]);
+    expect(groups.map((group) => [group.workflowName, group.sourceFile])).toEqual([
+      ["Line Clearance", "exports.zip/line.json"],
+      ["Workflow 2", "untitled.json"],
+    ]);
+    expect(groups[0].rows[0]).toMatchObject({
+      "Workflow Name": "Line Clearance",
+      "Source File": "exports.zip/line.json",
+    });
+  });
+});
+
+describe("convertWorkflowGroups failures", () => {
+  it("reports a workflow that cannot be converted and keeps the others", () => {
+    const failures = [];
+    const broken = {
+      name: "Broken",
+      stageRequests: [
+        {
+          id: "s1",
+          name: "Mixing",
+          taskRequests: [
+            {
+              id: "t1",
+              name: "Mix",
+              parameterRequests: [{ id: "p1", label: "Speed", rules: "show" }],
+            },
+          ],
+        },
+      ],
+    };
+    const groups = convertWorkflowGroups(
+      [
+        { fileName: "broken.json", workflow: broken },
+        { fileName: "empty.json", workflow: { name: "Empty", stageRequests: [] } },
+      ],
+      { onFailure: (failure) => failures.push(failure) }
+    );
+    expect(groups.map((group) => group.workflowName)).toEqual(["Empty"]);
+    expect(failures).toMatchObject([
+      { phase: "convert", fileName: "broken.json", workflowName: "Broken" },
+    ]);
+  });
+});
+
+describe("Row Key", () => {
+  it("keys rows by id, falling back to names, so renames keep the key", () => {
+    const rows = convertWorkflow({
+      parameterRequests: [{ id: "c1", label: "Batch No" }],
+      stageRequests: [
+        {
+          id: "s1",
+          name: "Dispensing",
+          taskRequests: [
+            {
+              name: "Weigh",
+              parameterRequests: [{ id: "p1", label: "Gross" }, { label: "Tare" }],
+            },
+          ],
+        },
+      ],
+    });
+    expect(rows.map((row) => row[ROW_KEY_COLUMN])).toEqual([
+      "cjf:c1",
+      "s1:Weigh:p1",
+      "s1:Weigh:Tare",
+    ]);
+  });
+});
+
+describe("identifier columns", () => {
+  const wf = {
+    parameterRequests: [{ id: "c1", label: "Batch No" }],
+    stageRequests: [
+      {
+        id: "s1",
+        name: "Dispensing",
+        taskRequests: [
+          { id: "t1", name: "Weigh", parameterRequests: [{ id: "p1", label: "Gross" }] },
+        ],
+      },
+      {
+        id: "s2",
+        name: "Mixing",
+        taskRequests: [
+          { id: "t2", name: "Charge", parameterRequests: [{ id: "p2", label: "Lot" }] },
+          {
+            id: "t3",
+            name: "Mix",
+            prerequisiteTaskIds: ["t2"],
+            parameterRequests: [{ id: "p3", label: "Speed" }],
+          },
+        ],
+      },
+    ],
+  };
+
+  it("are only added with includeIds, just before the Row Key", () => {
+    expect(Object.keys(convertWorkflow(wf)[0])).not.toContain("Task Ref");
+    const keys = Object.keys(convertWorkflow(wf, { includeIds: true })[0]);
+    expect(keys.slice(-ID_COLUMNS.length - 1)).toEqual([...ID_COLUMNS, ROW_KEY_COLUMN]);
+  });
+
+  it("number tasks the way the Dependencies column refers to them", () => {
+    const rows = convertWorkflow(wf, { includeIds: true });
+    expect(rows.map((row) => ID_COLUMNS.map((column) => row[column]))).toEqual([
+      ["", "", "c1", "", "", ""],
+      ["s1", "t1", "p1", 1, 1, "Task 1.1"],
+      ["s2", "t2", "p2", 2, 1, "Task 2.1"],
+      ["s2", "t3", "p3", 2, 2, "Task 2.2"],
+    ]);
+    expect(rows[3]["Dependencies"]).toContain("Task 2.1: Charge");
+  });
+});
+
+describe("taskRows", () => {
+  const wf = {
+    parameterRequests: [{ id: "c1", label: "Batch No" }],
+    stageRequests: [
+      {
+        id: "s1",
+        name: "Dispensing",
+        taskRequests: [
+          { id: "t1", name: "Weigh", parameterRequests: [{ id: "p1", label: "Gross" }] },
+          { id: "t2", name: "Sign off", prerequisiteTaskIds: ["t1"], parameterRequests: [] },
+        ],
+      },
+    ],
+  };
+
+  it("adds a header row per stage and task, tasks without parameters included", () => {
+    const rows = convertWorkflow(wf, { taskRows: true });
+    expect(rows.map((row) => [row["Row Type"], row["Activity Name"]])).toEqual([
+      ["Stage", ""],
+      ["Parameter", "Batch No"],
+      ["Stage", ""],
+      ["Task", "Weigh"],
+      ["Parameter", "Weigh"],
+      ["Task", "Sign off"],
+    ]);
+    expect(Object.keys(convertWorkflow(wf)[0])).not.toContain("Row Type");
+  });
+
+  it("moves task-level narration from the last parameter onto the task row", () => {
+    const rows = convertWorkflow(wf, { taskRows: true });
+    expect(rows[5]["Dependencies"]).toContain("Task 1.1: Weigh");
+    expect(rows[4]["Dependencies"]).toBe("N/A");
+  });
+});
+
+describe("narration order", () => {
+  const wf = {
+    stageRequests: [
+      {
+        id: "s2",
+        name: "Packing",
+        orderTree: 2,
+        taskRequests: [
+          { id: "t3", name: "Pack", parameterRequests: [{ id: "p3", label: "Cartons" }] },
+        ],
+      },
+      {
+        id: "s1",
+        name: "Mixing",
+        orderTree: 1,
+        taskRequests: [
+          {
+            id: "t2",
+            name: "Mix",
+            orderTree: 2,
+            prerequisiteTaskIds: ["t1"],
+            parameterRequests: [{ id: "p2", label: "Speed" }],
+          },
+          {
+            id: "t1",
+            name: "Charge",
+            orderTree: 1,
+            parameterRequests: [{ id: "p1", label: "Lot" }],
+          },
+        ],
+      },
+    ],
+  };
+
+  it("follows orderTree, and the task numbers follow it too", () => {
+    const rows = convertWorkflow(wf);
+    expect(rows.map((row) => row["Activity Name"])).toEqual(["Charge", "Mix", "Pack"]);
+    expect(rows[1]["Dependencies"]).toContain("Task 1.1: Charge");
+  });
+
+  it("keeps the order of the JSON with sourceOrder", () => {
+    const rows = convertWorkflow(wf, { sourceOrder: true });
+    expect(rows.map((row) => row["Activity Name"])).toEqual(["Pack", "Mix", "Charge"]);
+  });
+});
+
+describe("task rows", () => {
+  it("carry the task description once, in its own column", () => {
+    const rows = convertWorkflow(
+      {
+        stageRequests: [
+          {
+            id: "s1",
+            name: "Dispensing",
+            taskRequests: [
+              {
+                id: "t1",
+                name: "Weigh",
+                description: "<p>Weigh it</p>",
+                parameterRequests: [{ id: "p1", label: "Gross" }],
+              },
+            ],
+          },
+        ],
+      },
+      { taskRows: true }
+    );
+    expect(rows.find((row) => row["Row Type"] === "Task")).toMatchObject({
+      "Task Description": "Weigh it",
+      "Activity Description in detail": "N/A",
+    });
+  });
+});
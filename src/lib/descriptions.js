@@ -0,0 +1,140 @@
+import { formatUom } from "./formatters.js";
+import { readCalculation } from "./calculation.js";
+import { instructionToText } from "./instructionText.js";
+
+/**
+ * Placeholders available in "Activity Description in detail" templates. A
+ * template is plain text with {placeholder} markers; a [bracketed] part is
+ * left out when any placeholder inside it is empty, e.g.
+ * "Performer enters a number for {label}[, {range}][, in {unit}]."
+ */
+export const DESCRIPTION_PLACEHOLDERS = {
+  label: "Parameter label",
+  choices: "Choices of a select, yes/no, checklist or material parameter",
+  range: "Allowed range of a number, e.g. \"between 1 and 10\"",
+  unit: "Unit of measurement",
+  text: "Start of the instruction text",
+  objectType: "Object type a resource parameter points to",
+  filters: "Resource filters, e.g. \"Status equals Released\"",
+  formula: "Calculation expression, variables shown as [parameter label]",
+  expected: "Expected value of a should-be parameter, e.g. \"is between 2 and 8\"",
+};
+
+const TEXT_SUMMARY_LENGTH = 160;
+const OBJECT_ID_PATTERN = /^[a-f0-9]{24}$/;
+
+// -------------------- HELPER: Fill a template --------------------
+// Placeholder values are only worked out when the template uses them
+const fillTemplate = (template, resolvers) => {
+  const resolved = {};
+  const valueOf = (name) => {
+    if (!(name in resolved)) resolved[name] = String(resolvers[name]() ?? "");
+    return resolved[name];
+  };
+  const isKnown = (name) => name in DESCRIPTION_PLACEHOLDERS;
+  return template
+    .replace(/\[([^\][]*)\]/g, (match, part) => {
+      const names = [...part.matchAll(/\{(\w+)\}/g)].map(([, name]) => name).filter(isKnown);
+      return names.every((name) => valueOf(name) !== "") ? part : "";
+    })
+    .replace(/\{(\w+)\}/g, (match, name) => (isKnown(name) ? valueOf(name) : match));
+};
+
+// -------------------- HELPER: Choices of select-like parameters --------------------
+const getChoices = (param) => {
+  const choices = Array.isArray(param.data)
+    ? param.data
+    : Array.isArray(param.data?.choices)
+    ? param.data.choices
+    : [];
+  return choices
+    .map((d) => d?.name || d?.label || d?.value)
+    .filter(Boolean)
+    .join(", ");
+};
+
+// -------------------- HELPER: Number range from criteria validations --------------------
+const getRange = (param) => {
+  let min;
+  let max;
+  param.validations?.forEach((validation) =>
+    validation.criteriaValidations?.forEach((v) => {
+      const constraint = (v.constraint || "").toUpperCase();
+      if (v.minValue !== undefined) min = v.minValue;
+      if (v.maxValue !== undefined) max = v.maxValue;
+      if (constraint === "BETWEEN") {
+        min = v.lowerValue ?? min;
+        max = v.upperValue ?? max;
+      } else if (["GT", "GTE", "GE"].includes(constraint)) {
+        min = v.value ?? min;
+      } else if (["LT", "LTE", "LE"].includes(constraint)) {
+        max = v.value ?? max;
+      }
+    })
+  );
+  if (min !== undefined && max !== undefined) return `between ${min} and ${max}`;
+  if (min !== undefined) return `at least ${min}`;
+  if (max !== undefined) return `at most ${max}`;
+  return "";
+};
+
+// -------------------- HELPER: Short one-line summary of instruction HTML --------------------
+const summarizeText = (html) => {
+  const text = instructionToText(html).replace(/\s+/g, " ").trim();
+  return text.length > TEXT_SUMMARY_LENGTH ? `${text.slice(0, TEXT_SUMMARY_LENGTH).trimEnd()}…` : text;
+};
+
+// -------------------- HELPER: One-line summary of resource filters --------------------
+const summarizeFilters = (ctx, param) => {
+  const { propertyNameMap, optionMap, terms } = ctx;
+  return (param.data?.propertyFilters?.fields || [])
+    .map((f) => {
+      const fieldId = typeof f.field === "string" ? f.field.replace(/^searchable\./, "") : "";
+      const field = f.displayName || propertyNameMap[fieldId] || propertyNameMap[f.field];
+      if (!field) return "";
+      const values = (f.values || [])
+        .map((val) =>
+          typeof val === "string" && OBJECT_ID_PATTERN.test(val)
+            ? optionMap[val] || propertyNameMap[val]
+            : val
+        )
+        .filter((val) => val !== undefined && val !== null && val !== "");
+      return [field, f.op ? terms.constraint(f.op) : "", values.join(", ")].filter(Boolean).join(" ");
+    })
+    .filter(Boolean)
+    .join("; ");
+};
+
+// -------------------- HELPER: Expected value of a should-be parameter --------------------
+const getExpected = (ctx, data = {}) => {
+  const operator = (data.operator || "").toUpperCase();
+  if (operator === "BETWEEN" && data.lowerValue !== undefined && data.upperValue !== undefined) {
+    return `${ctx.terms.constraint(operator)} ${data.lowerValue} and ${data.upperValue}`;
+  }
+  if (data.value === undefined || data.value === "") return "";
+  return operator ? `${ctx.terms.constraint(operator)} ${data.value}` : `is ${data.value}`;
+};
+
+/**
+ * "Activity Description in detail" for one parameter: the project's template
+ * for its type (vocabulary section "descriptions") filled with what the
+ * parameter's configuration says.
+ *
+ * @param {import("./workflowContext.js").WorkflowContext} ctx
+ * @param {Object} param
+ * @returns {string}
+ */
+export const describeParameter = (ctx, param) => {
+  const data = param.data && !Array.isArray(param.data) ? param.data : {};
+  return fillTemplate(ctx.terms.description(param.type), {
+    label: () => param.label,
+    choices: () => getChoices(param),
+    range: () => getRange(param),
+    unit: () => formatUom(data.uom),
+    text: () => summarizeText(data.text),
+    objectType: () => data.objectTypeDisplayName || data.collection || "resource",
+    filters: () => summarizeFilters(ctx, param),
+    formula: () => readCalculation(ctx, param).formula,
+    expected: () => getExpected(ctx, data),
+  });
+};
@@ -0,0 +1,80 @@
+import { describe, expect, it } from "vitest";
+import { describeParameter } from "./descriptions.js";
+import { buildWorkflowContext } from "./workflowContext.js";
+
+const describeWith = (param, vocabulary) =>
+  describeParameter(buildWorkflowContext({ stageRequests: [] }, { vocabulary }), param);
+
+describe("describeParameter", () => {
+  it("fills the template of the parameter's type", () => {
+    const mode = {
+      label: "Mode",
+      type: "SINGLE_SELECT",
+      data: [{ name: "Auto" }, { name: "Manual" }],
+    };
+    expect(describeWith(mode)).toBe("Performer selects one option for Mode: Auto, Manual.");
+  });
+
+  it("reads a number's range and unit", () => {
+    const between = {
+      label: "Speed",
+      type: "NUMBER",
+      data: { uom: { symbol: "rpm" } },
+      validations: [
+        { criteriaValidations: [{ constraint: "BETWEEN", lowerValue: 10, upperValue: 50 }] },
+      ],
+    };
+    expect(describeWith(between)).toBe(
+      "Performer enters a number for Speed, between 10 and 50, in rpm."
+    );
+    const atLeast = {
+      label: "Time",
+      type: "NUMBER",
+      validations: [{ criteriaValidations: [{ constraint: "GTE", value: 5 }] }],
+    };
+    expect(describeWith(atLeast)).toBe("Performer enters a number for Time, at least 5.");
+  });
+
+  it("leaves out a bracketed part whose placeholder is empty", () => {
+    expect(describeWith({ label: "Speed", type: "NUMBER" })).toBe(
+      "Performer enters a number for Speed."
+    );
+    expect(describeWith({ label: "Mode", type: "SINGLE_SELECT", data: [] })).toBe(
+      "Performer selects one option for Mode."
+    );
+  });
+
+  it("summarizes instruction text and should-be expectations", () => {
+    const instruction = {
+      label: "Safety",
+      type: "INSTRUCTION",
+      data: { text: "<p>Wear <b>gloves</b></p>" },
+    };
+    expect(describeWith(instruction)).toBe(
+      'Performer reads and follows the instruction Safety: "Wear gloves".'
+    );
+    const shouldBe = {
+      label: "pH",
+      type: "SHOULD_BE",
+      data: { operator: "BETWEEN", lowerValue: 6, upperValue: 8 },
+    };
+    expect(describeWith(shouldBe)).toBe(
+      "Performer records pH; the expected value is between 6 and 8."
+    );
+  });
+
+  it("uses the project's templates and DEFAULT for types without one", () => {
+    const vocabulary = {
+      descriptions: {
+        DEFAULT: "Operator handles {label}.",
+        YES_NO: "Operator confirms {label} ({colour})[ - {choices}].",
+      },
+    };
+    expect(describeWith({ label: "Area clean", type: "YES_NO" }, vocabulary)).toBe(
+      "Operator confirms Area clean ({colour})."
+    );
+    expect(describeWith({ label: "Photo", type: "CAMERA" }, vocabulary)).toBe(
+      "Operator handles Photo."
+    );
+  });
+});
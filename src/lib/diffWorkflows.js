@@ -0,0 +1,257 @@
+import { CJF_STAGE_NAME, buildRowEntries, getWorkflowName } from "./convertWorkflow.js";
+import {
+  buildAutomationText,
+  getDependenciesText,
+  getExecutorLockText,
+  getTaskSettingColumns,
+} from "./narration.js";
+import { normalizeWorkflow } from "./normalizeWorkflow.js";
+import { orderWorkflow } from "./orderWorkflow.js";
+
+export const CHANGE_TYPES = { ADDED: "Added", REMOVED: "Removed", MODIFIED: "Modified" };
+
+// Columns that describe where a row came from rather than what it says
+const SOURCE_COLUMNS = ["Workflow Name", "Source File", "Stage Name", "Activity Name", "Row Key"];
+// Task-level columns only sit on a task's last parameter row, so they are compared per task
+const TASK_COLUMNS = [
+  "Dependencies",
+  "Executor Lock",
+  "Automation Details",
+  "Task Description",
+  "Timer",
+  "Scheduling",
+  "Media",
+  "Task Settings",
+];
+
+/**
+ * One added, removed or modified stage, task or parameter.
+ *
+ * @typedef {Object} WorkflowChange
+ * @property {"Added"|"Removed"|"Modified"} change
+ * @property {"Stage"|"Task"|"Parameter"} level
+ * @property {string} stage      Stage name (after the change where it still exists).
+ * @property {string} task       Task name, empty for stage changes.
+ * @property {string} parameter  Parameter label, empty for stage / task changes.
+ * @property {"id"|"label"|""} matchedBy How the two versions were paired.
+ * @property {{ column: string, before: string, after: string }[]} fields
+ */
+
+/**
+ * @typedef {Object} WorkflowDiff
+ * @property {string} beforeName
+ * @property {string} afterName
+ * @property {WorkflowChange[]} changes
+ * @property {{ Added: number, Removed: number, Modified: number }} summary
+ */
+
+// -------------------- HELPER: Pair items by id, then by label --------------------
+const pairItems = (beforeItems, afterItems, getId, getLabel) => {
+  const pairs = [];
+  const unmatchedAfter = new Set(afterItems);
+  const afterById = new Map();
+  afterItems.forEach((item) => {
+    const id = getId(item);
+    if (id !== undefined && id !== null) afterById.set(String(id), item);
+  });
+
+  const unmatchedBefore = [];
+  beforeItems.forEach((item) => {
+    const id = getId(item);
+    const match = id !== undefined && id !== null ? afterById.get(String(id)) : undefined;
+    if (match && unmatchedAfter.has(match)) {
+      unmatchedAfter.delete(match);
+      pairs.push({ before: item, after: match, matchedBy: "id" });
+    } else {
+      unmatchedBefore.push(item);
+    }
+  });
+
+  const removed = [];
+  unmatchedBefore.forEach((item) => {
+    const label = getLabel(item);
+    const match = [...unmatchedAfter].find((candidate) => getLabel(candidate) === label);
+    if (match) {
+      unmatchedAfter.delete(match);
+      pairs.push({ before: item, after: match, matchedBy: "label" });
+    } else {
+      removed.push(item);
+    }
+  });
+
+  return { pairs, removed, added: afterItems.filter((item) => unmatchedAfter.has(item)) };
+};
+
+// -------------------- HELPER: Field-by-field comparison --------------------
+const compareFields = (before, after, columns) =>
+  columns
+    .map((column) => ({ column, before: before[column] ?? "", after: after[column] ?? "" }))
+    .filter((f) => String(f.before) !== String(f.after));
+
+const listFields = (values, columns, side) =>
+  columns
+    .filter((column) => values[column] !== undefined && values[column] !== "" && values[column] !== "N/A")
+    .map((column) => ({
+      column,
+      before: side === "before" ? values[column] : "",
+      after: side === "after" ? values[column] : "",
+    }));
+
+// -------------------- HELPER: Everything the diff needs from one version --------------------
+const snapshotWorkflow = (wf) => {
+  const { ctx, entries } = buildRowEntries(wf);
+  const stages = wf.stageRequests || [];
+  const tasks = stages.flatMap((stage) =>
+    (stage.taskRequests || []).map((task) => ({
+      stage,
+      task,
+      values: {
+        "Stage Name": stage.name,
+        "Activity Name": task.name,
+        "Order": task.orderTree ?? "",
+        "Dependencies": getDependenciesText(ctx, task),
+        "Executor Lock": getExecutorLockText(ctx, task),
+        "Automation Details": buildAutomationText(ctx, task),
+        ...getTaskSettingColumns(ctx, task),
+      },
+    }))
+  );
+  return { stages, tasks, entries };
+};
+
+/**
+ * Compares two versions of a workflow and reports every added, removed or
+ * modified stage, task and parameter. Items are paired by id first and by
+ * label (scoped to the paired parent) when ids changed between exports.
+ *
+ * Parameters are compared column by column on their narration rows; task-level
+ * columns (dependencies, executor lock, automations, timer, scheduling, ...) are
+ * compared per task.
+ *
+ * Either version may be in any shape {@link normalizeWorkflow} recognizes;
+ * changes are listed in `orderTree` order.
+ *
+ * @param {Object} beforeWf Earlier workflow JSON.
+ * @param {Object} afterWf  Revised workflow JSON.
+ * @returns {WorkflowDiff}
+ */
+export const diffWorkflows = (beforeWf, afterWf) => {
+  const beforeSource = normalizeWorkflow(beforeWf).workflow;
+  const afterSource = normalizeWorkflow(afterWf).workflow;
+  const before = snapshotWorkflow(orderWorkflow(beforeSource));
+  const after = snapshotWorkflow(orderWorkflow(afterSource));
+  const changes = [];
+  const pushChange = (change, level, where, matchedBy, fields) =>
+    changes.push({ change, level, stage: "", task: "", parameter: "", ...where, matchedBy, fields });
+
+  // -------------------- STAGES --------------------
+  const stageKeys = new Map();
+  const stageMatch = pairItems(before.stages, after.stages, (s) => s.id, (s) => s.name);
+  stageMatch.pairs.forEach(({ before: b, after: a, matchedBy }, idx) => {
+    stageKeys.set(b, `stage-${idx}`);
+    stageKeys.set(a, `stage-${idx}`);
+    const fields = compareFields(
+      { "Stage Name": b.name, "Order": b.orderTree ?? "" },
+      { "Stage Name": a.name, "Order": a.orderTree ?? "" },
+      ["Stage Name", "Order"]
+    );
+    if (fields.length) pushChange(CHANGE_TYPES.MODIFIED, "Stage", { stage: a.name }, matchedBy, fields);
+  });
+  stageMatch.added.forEach((s) =>
+    pushChange(CHANGE_TYPES.ADDED, "Stage", { stage: s.name }, "", [
+      { column: "Stage Name", before: "", after: s.name },
+    ])
+  );
+  stageMatch.removed.forEach((s) =>
+    pushChange(CHANGE_TYPES.REMOVED, "Stage", { stage: s.name }, "", [
+      { column: "Stage Name", before: s.name, after: "" },
+    ])
+  );
+
+  // -------------------- TASKS --------------------
+  const taskColumns = ["Stage Name", "Activity Name", "Order", ...TASK_COLUMNS];
+  const taskKeys = new Map();
+  const taskLabel = (t) => `${stageKeys.get(t.stage) || t.stage.name}\u0000${t.task.name}`;
+  const taskWhere = (t) => ({ stage: t.stage.name, task: t.task.name });
+  const taskMatch = pairItems(before.tasks, after.tasks, (t) => t.task.id, taskLabel);
+  taskMatch.pairs.forEach(({ before: b, after: a, matchedBy }, idx) => {
+    taskKeys.set(b.task, `task-${idx}`);
+    taskKeys.set(a.task, `task-${idx}`);
+    const fields = compareFields(b.values, a.values, taskColumns.slice(1));
+    if (stageKeys.get(b.stage) !== stageKeys.get(a.stage)) {
+      fields.unshift({ column: "Stage Name", before: b.stage.name, after: a.stage.name });
+    }
+    if (fields.length) pushChange(CHANGE_TYPES.MODIFIED, "Task", taskWhere(a), matchedBy, fields);
+  });
+  taskMatch.added.forEach((t) =>
+    pushChange(CHANGE_TYPES.ADDED, "Task", taskWhere(t), "", listFields(t.values, taskColumns, "after"))
+  );
+  taskMatch.removed.forEach((t) =>
+    pushChange(CHANGE_TYPES.REMOVED, "Task", taskWhere(t), "", listFields(t.values, taskColumns, "before"))
+  );
+
+  // -------------------- PARAMETERS --------------------
+  const paramColumns = (row) =>
+    Object.keys(row).filter((column) => !SOURCE_COLUMNS.includes(column) && !TASK_COLUMNS.includes(column));
+  const paramLabel = (e) =>
+    `${e.task ? taskKeys.get(e.task) || e.task.name : CJF_STAGE_NAME}\u0000${e.param.label}`;
+  const paramWhere = (e) => ({
+    stage: e.row["Stage Name"],
+    task: e.task ? e.row["Activity Name"] : "",
+    parameter: e.param.label,
+  });
+  const paramMatch = pairItems(before.entries, after.entries, (e) => e.param.id, paramLabel);
+  paramMatch.pairs.forEach(({ before: b, after: a, matchedBy }) => {
+    const fields = compareFields(b.row, a.row, paramColumns(a.row));
+    const movedTask = (b.task && taskKeys.get(b.task)) !== (a.task && taskKeys.get(a.task));
+    if (movedTask) {
+      fields.unshift({
+        column: "Activity Name",
+        before: `${b.row["Stage Name"]} → ${b.row["Activity Name"]}`,
+        after: `${a.row["Stage Name"]} → ${a.row["Activity Name"]}`,
+      });
+    }
+    if (fields.length) pushChange(CHANGE_TYPES.MODIFIED, "Parameter", paramWhere(a), matchedBy, fields);
+  });
+  paramMatch.added.forEach((e) => {
+    const fields = listFields(e.row, paramColumns(e.row), "after");
+    pushChange(CHANGE_TYPES.ADDED, "Parameter", paramWhere(e), "", fields);
+  });
+  paramMatch.removed.forEach((e) => {
+    const fields = listFields(e.row, paramColumns(e.row), "before");
+    pushChange(CHANGE_TYPES.REMOVED, "Parameter", paramWhere(e), "", fields);
+  });
+
+  const summary = { Added: 0, Removed: 0, Modified: 0 };
+  changes.forEach((c) => {
+    summary[c.change] += 1;
+  });
+
+  return {
+    beforeName: getWorkflowName(beforeSource),
+    afterName: getWorkflowName(afterSource),
+    changes,
+    summary,
+  };
+};
+
+/**
+ * Flattens a diff into one row per changed column, the layout used by the
+ * compare preview and the XLSX change report.
+ *
+ * @param {WorkflowDiff} diff
+ * @returns {Object[]}
+ */
+export const diffToRows = (diff) =>
+  diff.changes.flatMap((c) =>
+    c.fields.map((f) => ({
+      "Change": c.change,
+      "Level": c.level,
+      "Stage": c.stage,
+      "Task": c.task,
+      "Parameter": c.parameter,
+      "Column": f.column,
+      "Before": f.before,
+      "After": f.after,
+    }))
+  );
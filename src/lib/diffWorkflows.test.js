@@ -0,0 +1,100 @@
+import { describe, expect, it } from "vitest";
+import { diffToRows, diffWorkflows, CHANGE_TYPES } from "./diffWorkflows.js";
+
+const makeWorkflow = (params) => ({
+  name: "Line Clearance",
+  stageRequests: [
+    {
+      id: "s1",
+      name: "Preparation",
+      orderTree: 1,
+      taskRequests: [{ id: "t1", name: "Inspect", orderTree: 1, parameterRequests: params }],
+    },
+  ],
+});
+
+const clean = { id: "p1", label: "Area clean", type: "YES_NO", mandatory: true };
+
+describe("diffWorkflows", () => {
+  it("finds nothing between identical versions", () => {
+    const diff = diffWorkflows(makeWorkflow([clean]), makeWorkflow([clean]));
+    expect(diff.changes).toEqual([]);
+    expect(diff.summary).toEqual({ Added: 0, Removed: 0, Modified: 0 });
+  });
+
+  it("pairs a renamed parameter by id and lists the changed columns", () => {
+    const renamed = { ...clean, label: "Area cleaned", mandatory: false };
+    const diff = diffWorkflows(makeWorkflow([clean]), makeWorkflow([renamed]));
+    expect(diff.changes).toHaveLength(1);
+    expect(diff.changes[0]).toMatchObject({
+      change: CHANGE_TYPES.MODIFIED,
+      level: "Parameter",
+      matchedBy: "id",
+    });
+    const columns = diff.changes[0].fields.map((field) => field.column);
+    expect(columns).toContain("Instruction Title");
+    expect(columns).toContain("Field Type");
+  });
+
+  it("reports added and removed parameters", () => {
+    const added = { id: "p2", label: "Line cleared", type: "YES_NO" };
+    const diff = diffWorkflows(makeWorkflow([clean]), makeWorkflow([added]));
+    expect(diff.summary).toEqual({ Added: 1, Removed: 1, Modified: 0 });
+    const rows = diffToRows(diff);
+    expect(
+      rows.find((row) => row.Change === "Added" && row.Column === "Instruction Title")
+    ).toMatchObject({ Before: "", After: "Line cleared" });
+  });
+
+  it("reads both versions in any recognized shape", () => {
+    const detail = {
+      data: {
+        name: "Line Clearance",
+        stages: [
+          {
+            id: "s1",
+            name: "Preparation",
+            orderTree: 1,
+            tasks: [{ id: "t1", name: "Inspect", orderTree: 1, parameters: [clean] }],
+          },
+        ],
+      },
+    };
+    const diff = diffWorkflows(makeWorkflow([clean]), detail);
+    expect(diff.changes).toEqual([]);
+    expect(diff.afterName).toBe("Line Clearance");
+  });
+});
+
+describe("diffWorkflows task-level changes", () => {
+  const withLock = (lock) => ({
+    stageRequests: [
+      {
+        id: "s1",
+        name: "Mixing",
+        taskRequests: [
+          { id: "t1", name: "Charge", parameterRequests: [] },
+          {
+            id: "t2",
+            name: "Mix",
+            taskExecutorLock: lock,
+            parameterRequests: [
+              { id: "p1", label: "Speed", type: "NUMBER" },
+              { id: "p2", label: "Time", type: "NUMBER" },
+            ],
+          },
+        ],
+      },
+    ],
+  });
+
+  it("reports an executor lock change on the task and on each parameter's Performer", () => {
+    const diff = diffWorkflows(withLock(undefined), withLock({ cannotBeExecutorIds: ["t1"] }));
+    expect(diff.changes.map((change) => change.level)).toEqual(["Task", "Parameter", "Parameter"]);
+    expect(diff.changes.map((change) => change.fields.map((field) => field.column))).toEqual([
+      ["Executor Lock"],
+      ["Performer"],
+      ["Performer"],
+    ]);
+  });
+});
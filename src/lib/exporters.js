@@ -0,0 +1,164 @@
+import Papa from "papaparse";
+import * as XLSX from "xlsx";
+import { diffToRows } from "./diffWorkflows.js";
+import { issuesToRows } from "./lintWorkflow.js";
+
+export const CSV_DELIMITER = ";";
+export const DEFAULT_EXPORT_NAME = "workflow_extracted";
+
+/**
+ * Serializes narration rows to the semicolon-delimited CSV used by every export.
+ *
+ * @param {Object[]} rows
+ * @returns {string}
+ */
+export const rowsToCSV = (rows) => Papa.unparse(rows, { delimiter: CSV_DELIMITER });
+
+/**
+ * Lint issues of every workflow as rows for the "Issues" sheet / panel.
+ *
+ * @param {import("./convertWorkflow.js").WorkflowGroup[]} groups
+ * @returns {Object[]}
+ */
+export const groupsToIssueRows = (groups) =>
+  groups.flatMap((group) => issuesToRows(group.issues || [], group.workflowName));
+
+// -------------------- HELPER: Append the Issues sheet when there is anything to report --------------------
+const appendIssuesSheet = (wb, issueRows) => {
+  if (!issueRows.length) return;
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(issueRows), "Issues");
+};
+
+/**
+ * Builds a workbook with the rows on a single "Workflow" sheet, followed by an
+ * "Issues" sheet when issue rows are given.
+ *
+ * @param {Object[]} rows
+ * @param {Object[]} [issueRows] From {@link groupsToIssueRows}.
+ * @returns {Object} SheetJS workbook, ready for XLSX.writeFile / XLSX.write.
+ */
+export const rowsToWorkbook = (rows, issueRows = []) => {
+  const ws = XLSX.utils.json_to_sheet(rows);
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, ws, "Workflow");
+  appendIssuesSheet(wb, issueRows);
+  return wb;
+};
+
+// -------------------- HELPER: Excel-safe, unique sheet name --------------------
+const MAX_SHEET_NAME = 31;
+const toSheetName = (name, usedNames) => {
+  const base = (String(name).replace(/[[\]:*?/\\]/g, " ").replace(/^'+|'+$/g, "").trim() || "Workflow")
+    .slice(0, MAX_SHEET_NAME);
+  let sheetName = base;
+  for (let n = 2; usedNames.has(sheetName.toLowerCase()); n += 1) {
+    const suffix = ` (${n})`;
+    sheetName = `${base.slice(0, MAX_SHEET_NAME - suffix.length)}${suffix}`;
+  }
+  usedNames.add(sheetName.toLowerCase());
+  return sheetName;
+};
+
+/**
+ * Builds a workbook with one sheet per workflow, preceded by an "Index" sheet
+ * listing every workflow, its source file and row count, linked to its sheet.
+ * The lint issues of all workflows go on a trailing "Issues" sheet.
+ *
+ * @param {import("./convertWorkflow.js").WorkflowGroup[]} groups
+ * @returns {Object} SheetJS workbook.
+ */
+export const workflowsToWorkbook = (groups) => {
+  const wb = XLSX.utils.book_new();
+  const usedNames = new Set(["index", "issues"]);
+  const sheets = groups.map((group) => ({
+    group,
+    sheetName: toSheetName(group.workflowName, usedNames),
+  }));
+
+  const indexRows = sheets.map(({ group, sheetName }, idx) => ({
+    "#": idx + 1,
+    "Workflow Name": group.workflowName,
+    "Source File": group.sourceFile,
+    "Sheet": sheetName,
+    "Rows": group.rows.length,
+  }));
+  const indexSheet = XLSX.utils.json_to_sheet(indexRows, {
+    header: ["#", "Workflow Name", "Source File", "Sheet", "Rows"],
+  });
+  // Link each "Sheet" cell (column D) to the workflow's sheet
+  sheets.forEach(({ sheetName }, idx) => {
+    const cell = indexSheet[XLSX.utils.encode_cell({ r: idx + 1, c: 3 })];
+    if (cell) cell.l = { Target: `#'${sheetName.replace(/'/g, "''")}'!A1` };
+  });
+  XLSX.utils.book_append_sheet(wb, indexSheet, "Index");
+
+  sheets.forEach(({ group, sheetName }) => {
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(group.rows), sheetName);
+  });
+  appendIssuesSheet(wb, groupsToIssueRows(groups));
+  return wb;
+};
+
+// -------------------- DIFF REPORT STYLES --------------------
+// Cell styles are only written by xlsx-js-style; plain SheetJS drops them.
+const DIFF_FILLS = {
+  Added: "C6EFCE",
+  Removed: "FFC7CE",
+  Modified: "FFEB9C",
+};
+const DIFF_COLUMNS = ["Change", "Level", "Stage", "Task", "Parameter", "Column", "Before", "After"];
+const DIFF_WIDTHS = [10, 10, 24, 24, 24, 28, 50, 50];
+
+const fillStyle = (rgb, extra = {}) => ({
+  fill: { patternType: "solid", fgColor: { rgb } },
+  alignment: { vertical: "top", wrapText: true },
+  ...extra,
+});
+
+/**
+ * Builds the change report workbook for a workflow diff: a "Summary" sheet
+ * with counts and a "Changes" sheet with one row per changed column. Added
+ * rows are green, removed rows red, and for modified rows the Before / After
+ * cells are highlighted. Write it with xlsx-js-style to keep the colours.
+ *
+ * @param {import("./diffWorkflows.js").WorkflowDiff} diff
+ * @returns {Object} SheetJS workbook.
+ */
+export const diffToWorkbook = (diff) => {
+  const wb = XLSX.utils.book_new();
+
+  const summarySheet = XLSX.utils.aoa_to_sheet([
+    ["Before", diff.beforeName],
+    ["After", diff.afterName],
+    [],
+    ["Change", "Count"],
+    ...Object.entries(diff.summary),
+  ]);
+  summarySheet["!cols"] = [{ wch: 12 }, { wch: 40 }];
+  XLSX.utils.book_append_sheet(wb, summarySheet, "Summary");
+
+  const rows = diffToRows(diff);
+  const ws = XLSX.utils.json_to_sheet(rows, { header: DIFF_COLUMNS });
+  ws["!cols"] = DIFF_WIDTHS.map((wch) => ({ wch }));
+  DIFF_COLUMNS.forEach((_, c) => {
+    const cell = ws[XLSX.utils.encode_cell({ r: 0, c })];
+    if (cell) cell.s = { font: { bold: true } };
+  });
+  rows.forEach((row, idx) => {
+    DIFF_COLUMNS.forEach((column, c) => {
+      const cell = ws[XLSX.utils.encode_cell({ r: idx + 1, c })];
+      if (!cell) return;
+      if (row.Change !== "Modified") {
+        cell.s = fillStyle(DIFF_FILLS[row.Change]);
+      } else if (column === "Before") {
+        cell.s = fillStyle(DIFF_FILLS.Removed);
+      } else if (column === "After") {
+        cell.s = fillStyle(DIFF_FILLS.Added);
+      } else {
+        cell.s = fillStyle(DIFF_FILLS.Modified);
+      }
+    });
+  });
+  XLSX.utils.book_append_sheet(wb, ws, "Changes");
+  return wb;
+};
@@ -0,0 +1,62 @@
+import * as XLSX from "xlsx";
+import { describe, expect, it } from "vitest";
+import { rowsToCSV, workflowsToWorkbook } from "./exporters.js";
+
+describe("rowsToCSV", () => {
+  it("writes semicolon-delimited CSV", () => {
+    expect(rowsToCSV([{ "Stage Name": "Mixing", "Activity Name": "Charge; weigh" }])).toBe(
+      'Stage Name;Activity Name\r\nMixing;"Charge; weigh"'
+    );
+  });
+});
+
+describe("workflowsToWorkbook", () => {
+  const groups = [
+    { workflowName: "Line Clearance", sourceFile: "a.json", rows: [{ "Stage Name": "Prep" }] },
+    {
+      workflowName: "Line Clearance",
+      sourceFile: "b.zip/line.json",
+      rows: [{ "Stage Name": "Prep" }, { "Stage Name": "Close" }],
+    },
+    { workflowName: "Index", sourceFile: "c.json", rows: [] },
+  ];
+
+  it("puts an Index sheet ahead of one uniquely named sheet per workflow", () => {
+    const wb = workflowsToWorkbook(groups);
+    expect(wb.SheetNames).toEqual(["Index", "Line Clearance", "Line Clearance (2)", "Index (2)"]);
+    expect(XLSX.utils.sheet_to_json(wb.Sheets.Index)).toEqual([
+      {
+        "#": 1,
+        "Workflow Name": "Line Clearance",
+        "Source File": "a.json",
+        Sheet: "Line Clearance",
+        Rows: 1,
+      },
+      {
+        "#": 2,
+        "Workflow Name": "Line Clearance",
+        "Source File": "b.zip/line.json",
+        Sheet: "Line Clearance (2)",
+        Rows: 2,
+      },
+      { "#": 3, "Workflow Name": "Index", "Source File": "c.json", Sheet: "Index (2)", Rows: 0 },
+    ]);
+  });
+
+  it("links each Index entry to its workflow's sheet", () => {
+    const index = workflowsToWorkbook(groups).Sheets.Index;
+    expect(index.D3.l.Target).toBe("#'Line Clearance (2)'!A1");
+  });
+
+  it("keeps sheet names within Excel's limits", () => {
+    const wb = workflowsToWorkbook([
+      {
+        workflowName: "Batch [A]: Dispensing / Weighing of raw materials",
+        sourceFile: "",
+        rows: [],
+      },
+    ]);
+    expect(wb.SheetNames[1]).toHaveLength(31);
+    expect(wb.SheetNames[1]).not.toMatch(/[[\]:*?/\\]/);
+  });
+});
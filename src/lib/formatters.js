@@ -0,0 +1,112 @@
+import { DEFAULT_VOCABULARY, VOCABULARY_SECTIONS } from "./vocabulary.js";
+
+/* -------------------- HELPER: Format any key to readable text -------------------- */
+export const formatKey = (key) => {
+  if (!key) return "";
+  return key
+    .replace(/([A-Z])/g, " $1")
+    .replace(/_/g, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+    .toLowerCase()
+    .replace(/^\w/, (c) => c.toUpperCase());
+};
+
+/* -------------------- HELPER: Vocabulary lookup, formatKey fallback -------------------- */
+// onUnmapped(section, value) is called for values the vocabulary has no wording for
+const lookupTerm = (section, value, vocabulary, onUnmapped) => {
+  const term = vocabulary?.[section]?.[value.toUpperCase()];
+  if (term) return term;
+  onUnmapped?.(section, value);
+  return formatKey(value);
+};
+
+/* -------------------- DYNAMIC CONSTRAINT FORMATTER -------------------- */
+export const formatConstraint = (constraint, vocabulary = DEFAULT_VOCABULARY, onUnmapped) => {
+  if (!constraint) return "";
+  return lookupTerm("constraints", constraint, vocabulary, onUnmapped);
+};
+
+/* -------------------- DYNAMIC EXCEPTION TYPE FORMATTER -------------------- */
+export const formatExceptionType = (exceptionType, vocabulary = DEFAULT_VOCABULARY, onUnmapped) => {
+  if (!exceptionType) return "Default";
+  return lookupTerm("exceptionTypes", exceptionType, vocabulary, onUnmapped);
+};
+
+/* -------------------- DYNAMIC SELECTOR FORMATTER -------------------- */
+export const formatSelector = (selector, vocabulary = DEFAULT_VOCABULARY, onUnmapped) => {
+  if (!selector) return "";
+  return lookupTerm("selectors", selector, vocabulary, onUnmapped);
+};
+
+/* -------------------- DYNAMIC UNIT FORMATTER -------------------- */
+export const formatUnit = (unit, vocabulary = DEFAULT_VOCABULARY, onUnmapped) => {
+  if (!unit) return "";
+  return lookupTerm("units", unit, vocabulary, onUnmapped);
+};
+
+/* -------------------- UNIT OF MEASUREMENT (string or { symbol, name }) -------------------- */
+export const formatUom = (uom) => (typeof uom === "string" ? uom : uom?.symbol || uom?.name || "");
+
+/* -------------------- PARAMETER DESCRIPTION TEMPLATE -------------------- */
+// Types without a template use the DEFAULT one, and are reported as unmapped
+export const getDescriptionTemplate = (type, vocabulary = DEFAULT_VOCABULARY, onUnmapped) => {
+  const templates = vocabulary?.descriptions || {};
+  const template = type && templates[type.toUpperCase()];
+  if (template) return template;
+  if (type) onUnmapped?.("descriptions", type);
+  return templates.DEFAULT || DEFAULT_VOCABULARY.descriptions.DEFAULT;
+};
+
+/**
+ * An enum value the vocabulary had no wording for.
+ *
+ * @typedef {Object} UnmappedTerm
+ * @property {string} section One of the {@link VOCABULARY_SECTIONS} keys.
+ * @property {string} value   The raw enum value, as found in the workflow.
+ * @property {number} count   How often it was narrated.
+ */
+
+/**
+ * Formatters bound to one vocabulary that remember every unmapped value they
+ * meet, so a conversion can report which terms the vocabulary is missing.
+ *
+ * @param {import("./vocabulary.js").Vocabulary} [vocabulary]
+ */
+export const createTerms = (vocabulary = DEFAULT_VOCABULARY) => {
+  const unmapped = new Map();
+  const report = (section, value) => {
+    const key = `${section}:${value.toUpperCase()}`;
+    const entry = unmapped.get(key) || { section, value: value.toUpperCase(), count: 0 };
+    entry.count += 1;
+    unmapped.set(key, entry);
+  };
+
+  return {
+    constraint: (value) => formatConstraint(value, vocabulary, report),
+    exceptionType: (value) => formatExceptionType(value, vocabulary, report),
+    selector: (value) => formatSelector(value, vocabulary, report),
+    unit: (value) => formatUnit(value, vocabulary, report),
+    description: (type) => getDescriptionTemplate(type, vocabulary, report),
+    /** @returns {UnmappedTerm[]} */
+    unmapped: () => [...unmapped.values()],
+  };
+};
+
+/**
+ * Merges unmapped terms from several conversions, adding up the counts.
+ *
+ * @param {UnmappedTerm[][]} lists
+ * @returns {UnmappedTerm[]} Sorted by section, then value.
+ */
+export const mergeUnmappedTerms = (lists) => {
+  const merged = new Map();
+  lists.flat().forEach(({ section, value, count }) => {
+    const key = `${section}:${value}`;
+    merged.set(key, { section, value, count: (merged.get(key)?.count || 0) + count });
+  });
+  const order = Object.keys(VOCABULARY_SECTIONS);
+  return [...merged.values()].sort(
+    (a, b) => order.indexOf(a.section) - order.indexOf(b.section) || a.value.localeCompare(b.value)
+  );
+};
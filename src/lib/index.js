@@ -0,0 +1,120 @@
+/**
+ * Framework-free narration engine.
+ *
+ * The extraction logic (conversion, context, diff, lint, narration text) has
+ * no dependencies, so the UI, the CLI and the test suites share it. This entry
+ * also re-exports the file readers and the CSV / XLSX / DOCX exporters, which
+ * pull in papaparse, jszip, xlsx and docx. Code that needs only part of the
+ * engine, such as the conversion worker, imports those modules directly so it
+ * does not load the rest.
+ *
+ * @example
+ * import { convertWorkflow } from "./lib";
+ * const rows = convertWorkflow(JSON.parse(text));
+ */
+export {
+  convertWorkflow,
+  convertWorkflows,
+  convertWorkflowGroups,
+  buildRowEntries,
+  getWorkflowName,
+  getRowKey,
+  CJF_STAGE_NAME,
+  ROW_KEY_COLUMN,
+  ID_COLUMNS,
+  ROW_TYPE_COLUMN,
+  ROW_TYPES,
+} from "./convertWorkflow.js";
+export { buildWorkflowContext, VISIBILITY } from "./workflowContext.js";
+export { normalizeWorkflow, detectWorkflowFormat, WORKFLOW_FORMATS } from "./normalizeWorkflow.js";
+export { orderWorkflow, sortByOrderTree } from "./orderWorkflow.js";
+export { diffWorkflows, diffToRows, CHANGE_TYPES } from "./diffWorkflows.js";
+export { buildTaskGraph, EDGE_KINDS } from "./taskGraph.js";
+export { lintWorkflow, issuesToRows, SEVERITIES, ISSUE_TYPES } from "./lintWorkflow.js";
+export {
+  readWorkflowFile,
+  readWorkflowFiles,
+  isWorkflowFileName,
+  readFailure,
+  IMPORT_PHASES,
+} from "./loadWorkflows.js";
+export {
+  queryRows,
+  columnFilterValues,
+  toggleSort,
+  hasValue,
+  isQueryActive,
+  EMPTY_QUERY,
+  FILTER_HAS_VALUE,
+  FILTER_EMPTY,
+  SORT_DIRECTIONS,
+} from "./rowQuery.js";
+export {
+  applyTemplate,
+  normalizeTemplate,
+  visibleColumns,
+  parseTemplate,
+  serializeTemplate,
+  NARRATION_COLUMNS,
+  OPTIONAL_COLUMNS,
+  DEFAULT_TEMPLATE,
+  DEFAULT_TEMPLATE_NAME,
+} from "./columnTemplates.js";
+export {
+  readReviewedRows,
+  mergeReviewedRows,
+  REVIEWER_COLUMNS,
+  REVIEW_FLAG_COLUMN,
+  REVIEW_FLAGS,
+} from "./reviewMerge.js";
+export { describeParameter, DESCRIPTION_PLACEHOLDERS } from "./descriptions.js";
+export { readCalculation, getCalculationText } from "./calculation.js";
+export { parseInstructionHtml, instructionBlocksToText, instructionToText } from "./instructionText.js";
+export {
+  formatDuration,
+  getTimerText,
+  getSchedulingText,
+  getMediaText,
+  getTaskSettingsText,
+} from "./taskSettings.js";
+export { workflowsToDocx } from "./narrativeDocx.js";
+export {
+  rowsToCSV,
+  rowsToWorkbook,
+  workflowsToWorkbook,
+  groupsToIssueRows,
+  diffToWorkbook,
+  CSV_DELIMITER,
+  DEFAULT_EXPORT_NAME,
+} from "./exporters.js";
+export {
+  getFiltersText,
+  getValidationsText,
+  getDependenciesText,
+  getExecutorLockText,
+  getPerformerText,
+  buildAutomationText,
+  getTaskSettingColumns,
+  makeRow,
+  makeStageRow,
+  makeTaskRow,
+} from "./narration.js";
+export {
+  formatKey,
+  formatConstraint,
+  formatExceptionType,
+  formatSelector,
+  formatUnit,
+  formatUom,
+  getDescriptionTemplate,
+  createTerms,
+  mergeUnmappedTerms,
+} from "./formatters.js";
+export {
+  mergeVocabulary,
+  vocabularyOverrides,
+  parseVocabulary,
+  serializeVocabulary,
+  DEFAULT_VOCABULARY,
+  VOCABULARY_SECTIONS,
+} from "./vocabulary.js";
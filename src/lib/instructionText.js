@@ -0,0 +1,278 @@
+/**
+ * Instruction parameters carry rich HTML (paragraphs, lists, tables, images).
+ * No DOM is available in Node or in the conversion worker, so this module
+ * tokenizes the HTML itself into simple blocks: plain text for CSV/XLSX, and
+ * formatted paragraphs for the DOCX export.
+ */
+
+/**
+ * A piece of text with its inline formatting. `break` starts a new line.
+ *
+ * @typedef {Object} InstructionRun
+ * @property {string} text
+ * @property {boolean} [bold]
+ * @property {boolean} [italics]
+ * @property {boolean} [underline]
+ * @property {boolean} [break]
+ */
+
+/**
+ * One block of instruction content.
+ *
+ * @typedef {Object} InstructionBlock
+ * @property {"paragraph"|"heading"|"listItem"|"table"|"image"} type
+ * @property {InstructionRun[]} [runs] Paragraphs, headings and list items.
+ * @property {number} [level]     List nesting, 0 for a top-level item.
+ * @property {boolean} [ordered]  Numbered list item.
+ * @property {number} [number]    Position in a numbered list.
+ * @property {string[][]} [rows]  Table cells as plain text.
+ * @property {string} [label]     Image alt text or file name.
+ */
+
+const ENTITIES = {
+  nbsp: " ",
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  deg: "°",
+  plusmn: "±",
+  micro: "µ",
+  times: "×",
+  le: "≤",
+  ge: "≥",
+  ndash: "–",
+  mdash: "—",
+  hellip: "…",
+  lsquo: "‘",
+  rsquo: "’",
+  ldquo: "“",
+  rdquo: "”",
+  copy: "©",
+  reg: "®",
+  trade: "™",
+};
+const BLOCK_TAGS = ["p", "div", "section", "blockquote", "pre", "h1", "h2", "h3", "h4", "h5", "h6"];
+const SKIPPED_TAGS = ["script", "style", "head", "title"];
+const TOKEN_PATTERN = /<!--[\s\S]*?-->|<(\/?)([a-zA-Z][a-zA-Z0-9]*)([^>]*)>|[^<]+|</g;
+
+// -------------------- HELPER: Decode HTML entities --------------------
+const decodeEntities = (text) =>
+  text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, code) => {
+    if (code[0] === "#") {
+      const point = code[1] === "x" || code[1] === "X" ? parseInt(code.slice(2), 16) : Number(code.slice(1));
+      // Out-of-range and surrogate code points are not characters; the entity stays as written
+      const valid = point >= 0 && point <= 0x10ffff && !(point >= 0xd800 && point <= 0xdfff);
+      return valid ? String.fromCodePoint(point) : match;
+    }
+    return ENTITIES[code.toLowerCase()] ?? match;
+  });
+
+// -------------------- HELPER: Attribute value from a tag's attribute string --------------------
+const getAttribute = (attrs, name) => {
+  const match = attrs.match(new RegExp(`\\b${name}\\s*=\\s*("([^"]*)"|'([^']*)'|([^\\s>]+))`, "i"));
+  return match ? decodeEntities(match[2] ?? match[3] ?? match[4] ?? "") : "";
+};
+
+// -------------------- HELPER: Readable name of an image --------------------
+const imageLabel = (attrs) => {
+  const alt = getAttribute(attrs, "alt").trim();
+  if (alt) return alt;
+  const src = getAttribute(attrs, "src");
+  if (!src || src.startsWith("data:")) return "embedded image";
+  const fileName = src.split(/[?#]/)[0].split("/").pop() || "";
+  try {
+    return decodeURIComponent(fileName) || "image";
+  } catch {
+    // Not valid percent-encoding (e.g. "scan 100%.png"): show the name as written
+    return fileName || "image";
+  }
+};
+
+/**
+ * Splits instruction HTML into blocks.
+ *
+ * @param {string} html
+ * @returns {InstructionBlock[]}
+ */
+export const parseInstructionHtml = (html) => {
+  const blocks = [];
+  const lists = [];
+  const format = { b: 0, i: 0, u: 0 };
+  let runs = [];
+  let blockType = "paragraph";
+  let listInfo = null;
+  let table = null;
+  let skipping = null;
+
+  // -------------------- HELPER: Close the block being written --------------------
+  const flush = () => {
+    // Trim the block: no leading / trailing spaces or line breaks
+    while (runs.length && (runs[0].break || !runs[0].text.trim())) runs.shift();
+    while (runs.length && (runs[runs.length - 1].break || !runs[runs.length - 1].text.trim())) runs.pop();
+    if (runs.length) {
+      runs[0] = { ...runs[0], text: runs[0].text.trimStart() };
+      const last = runs.length - 1;
+      runs[last] = { ...runs[last], text: runs[last].text.trimEnd() };
+      blocks.push({ type: blockType, runs, ...(blockType === "listItem" ? listInfo : {}) });
+    }
+    runs = [];
+    blockType = "paragraph";
+    listInfo = null;
+  };
+
+  const addText = (text) => {
+    if (table) {
+      if (table.cell !== null) table.cell += text;
+      return;
+    }
+    const previous = runs[runs.length - 1];
+    // Collapse whitespace across runs: no double spaces, none after a line break
+    let collapsed = text.replace(/\s+/g, " ");
+    if ((!previous || previous.break || /\s$/.test(previous.text)) && collapsed.startsWith(" ")) {
+      collapsed = collapsed.slice(1);
+    }
+    if (!collapsed) return;
+    const run = { text: collapsed };
+    if (format.b) run.bold = true;
+    if (format.i) run.italics = true;
+    if (format.u) run.underline = true;
+    runs.push(run);
+  };
+
+  const addImage = (attrs) => {
+    if (table) {
+      if (table.cell !== null) table.cell += ` [Image: ${imageLabel(attrs)}] `;
+      return;
+    }
+    const pending = { type: blockType, info: listInfo };
+    flush();
+    blocks.push({ type: "image", label: imageLabel(attrs) });
+    blockType = pending.type;
+    listInfo = pending.info;
+  };
+
+  for (const [token, closing, rawTag, attrs = ""] of html.matchAll(TOKEN_PATTERN)) {
+    const tag = rawTag?.toLowerCase();
+    if (skipping) {
+      if (closing && tag === skipping) skipping = null;
+      continue;
+    }
+    if (token.startsWith("<!--")) continue;
+    if (!tag) {
+      addText(decodeEntities(token));
+      continue;
+    }
+    if (!closing && SKIPPED_TAGS.includes(tag)) {
+      skipping = tag;
+      continue;
+    }
+
+    // -------------------- TABLES: cells are collected as plain text --------------------
+    if (tag === "table") {
+      if (!closing) {
+        flush();
+        table = { rows: [], row: null, cell: null };
+      } else if (table) {
+        const rows = table.rows.filter((row) => row.some(Boolean));
+        if (rows.length) blocks.push({ type: "table", rows });
+        table = null;
+      }
+      continue;
+    }
+    if (table) {
+      if (tag === "tr") {
+        if (!closing) table.row = [];
+        else if (table.row) {
+          table.rows.push(table.row);
+          table.row = null;
+        }
+      } else if (tag === "td" || tag === "th") {
+        if (!closing) table.cell = "";
+        else if (table.cell !== null) {
+          (table.row || (table.row = [])).push(table.cell.replace(/\s+/g, " ").trim());
+          table.cell = null;
+        }
+      } else if (tag === "img") {
+        addImage(attrs);
+      } else if (tag === "br" || BLOCK_TAGS.includes(tag) || tag === "li") {
+        addText(" ");
+      }
+      continue;
+    }
+
+    // -------------------- INLINE FORMATTING --------------------
+    const formatKey =
+      tag === "b" || tag === "strong" ? "b" : tag === "i" || tag === "em" ? "i" : tag === "u" ? "u" : null;
+    if (formatKey) {
+      format[formatKey] = Math.max(0, format[formatKey] + (closing ? -1 : 1));
+      continue;
+    }
+
+    if (tag === "br") {
+      runs.push({ text: "", break: true });
+    } else if (tag === "img") {
+      addImage(attrs);
+    } else if (tag === "ul" || tag === "ol") {
+      flush();
+      if (!closing) lists.push({ ordered: tag === "ol", count: 0 });
+      else lists.pop();
+    } else if (tag === "li") {
+      flush();
+      if (!closing && lists.length) {
+        const list = lists[lists.length - 1];
+        list.count += 1;
+        blockType = "listItem";
+        listInfo = {
+          level: lists.length - 1,
+          ordered: list.ordered,
+          ...(list.ordered ? { number: list.count } : {}),
+        };
+      }
+    } else if (BLOCK_TAGS.includes(tag)) {
+      // A paragraph inside a list item continues the item
+      if (blockType === "listItem" && runs.length === 0) continue;
+      if (blockType === "listItem") {
+        if (!closing) runs.push({ text: "", break: true });
+        continue;
+      }
+      flush();
+      if (!closing && /^h\d$/.test(tag)) blockType = "heading";
+    }
+  }
+  flush();
+  return blocks;
+};
+
+// -------------------- HELPER: Runs as text, line breaks kept --------------------
+const runsText = (runs = []) => runs.map((run) => (run.break ? "\n" : run.text)).join("");
+
+/**
+ * Plain-text rendering of instruction blocks: list items as "•" / "1." lines
+ * indented per level, table rows as "cell | cell", images as "[Image: …]".
+ *
+ * @param {InstructionBlock[]} blocks
+ * @returns {string}
+ */
+export const instructionBlocksToText = (blocks) =>
+  blocks
+    .map((block) => {
+      if (block.type === "table") return block.rows.map((row) => row.join(" | ")).join("\n");
+      if (block.type === "image") return `[Image: ${block.label}]`;
+      if (block.type === "listItem") {
+        const indent = "  ".repeat(block.level);
+        const marker = block.ordered ? `${block.number}.` : "•";
+        return `${indent}${marker} ${runsText(block.runs).replace(/\n/g, `\n${indent}  `)}`;
+      }
+      return runsText(block.runs);
+    })
+    .join("\n");
+
+/**
+ * Instruction HTML as readable plain text, for the CSV / XLSX narration.
+ *
+ * @param {string} html
+ * @returns {string}
+ */
+export const instructionToText = (html) => instructionBlocksToText(parseInstructionHtml(String(html ?? "")));
@@ -0,0 +1,28 @@
+import { describe, expect, it } from "vitest";
+import { instructionToText, parseInstructionHtml } from "./instructionText.js";
+
+describe("instructionToText", () => {
+  it("renders lists, tables and images as text", () => {
+    const html =
+      "<p>Check the <b>line</b>:</p><ol><li>Clean</li><li>Dry</li></ol>" +
+      "<table><tr><td>Area</td><td>Status</td></tr></table><img src='/files/line%20view.png?v=2'>";
+    expect(instructionToText(html)).toBe(
+      "Check the line:\n1. Clean\n2. Dry\nArea | Status\n[Image: line view.png]"
+    );
+  });
+
+  it("keeps an image name that is not valid percent-encoding", () => {
+    expect(instructionToText('<img src="scan 100%.png">')).toBe("[Image: scan 100%.png]");
+  });
+
+  it("decodes entities and leaves invalid code points as written", () => {
+    expect(instructionToText("5 &deg;C &#x2264; &#8804; &#99999999; &#xD800;")).toBe(
+      "5 °C ≤ ≤ &#99999999; &#xD800;"
+    );
+  });
+
+  it("keeps inline formatting on the runs", () => {
+    const [block] = parseInstructionHtml("<p>Wear <strong>gloves</strong></p>");
+    expect(block.runs).toEqual([{ text: "Wear " }, { text: "gloves", bold: true }]);
+  });
+});
@@ -0,0 +1,252 @@
+import { buildWorkflowContext, CJF_STAGE_NAME, VISIBILITY } from "./workflowContext.js";
+import { readCalculation } from "./calculation.js";
+
+export const SEVERITIES = { ERROR: "Error", WARNING: "Warning" };
+
+export const ISSUE_TYPES = {
+  MISSING_PREREQUISITE: "Missing prerequisite task",
+  MISSING_EXECUTOR_TASK: "Missing executor-lock task",
+  MISSING_REFERENCED_PARAMETER: "Missing referenced parameter",
+  MISSING_RULE_TARGET: "Missing branching target",
+  MISSING_CALCULATION_VARIABLE: "Missing calculation variable",
+  UNRESOLVED_OPTION: "Unresolved option ID",
+  UNRESOLVED_PROPERTY: "Unresolved property ID",
+  HIDDEN_MANDATORY: "Hidden mandatory parameter",
+};
+
+const ID_PATTERN = /^[a-f0-9]{24}$/;
+
+/**
+ * One configuration problem found in a workflow.
+ *
+ * @typedef {Object} WorkflowIssue
+ * @property {"Error"|"Warning"} severity Errors are broken references; warnings
+ *   are IDs the narration cannot turn into readable names and mandatory
+ *   parameters hidden until a branching rule shows them.
+ * @property {string} type      One of {@link ISSUE_TYPES}.
+ * @property {string} stage     Stage name (Create Job Form for CJF parameters).
+ * @property {string} task      Task name, empty for CJF parameters.
+ * @property {string} parameter Parameter label, empty for task-level issues.
+ * @property {string} details   What was referenced and where.
+ */
+
+/**
+ * Checks a workflow for references the narration cannot resolve: dangling
+ * prerequisites, executor locks, referenced parameters, calculation variables
+ * and branching targets (errors), plus option and property IDs with no
+ * readable name and mandatory parameters that are hidden until a rule shows
+ * them, which can keep a task from being completed (warnings).
+ *
+ * @param {Object} wf Workflow JSON in the stageRequests import format.
+ * @returns {WorkflowIssue[]}
+ */
+export const lintWorkflow = (wf) => {
+  const ctx = buildWorkflowContext(wf);
+  const { parameterMap, propertyNameMap, optionMap, defaultVisibilityMap, lookupTask } = ctx;
+  const issues = [];
+  const hasParameter = (id) => Object.prototype.hasOwnProperty.call(parameterMap, id);
+
+  // -------------------- PARAMETER CHECKS --------------------
+  const lintParam = (where, param) => {
+    const at = { ...where, parameter: param.label || String(param.id ?? "") };
+    const report = (severity, type, details) => issues.push({ severity, type, ...at, details });
+
+    if (param.mandatory && defaultVisibilityMap[param.id] === VISIBILITY.HIDDEN) {
+      report(
+        SEVERITIES.WARNING,
+        ISSUE_TYPES.HIDDEN_MANDATORY,
+        "Mandatory, but hidden until a branching rule shows it; if no rule is met the task cannot be completed"
+      );
+    }
+
+    param.rules?.forEach((rule, ruleIdx) => {
+      ["show", "hide"].forEach((action) =>
+        rule[action]?.parameters?.forEach((targetId) => {
+          if (!hasParameter(targetId)) {
+            report(
+              SEVERITIES.ERROR,
+              ISSUE_TYPES.MISSING_RULE_TARGET,
+              `Rule ${ruleIdx + 1} ${action}s parameter ID ${targetId}, which is not in the workflow`
+            );
+          }
+        })
+      );
+      rule.input?.forEach((inputId) => {
+        if (!optionMap[inputId]) {
+          report(
+            SEVERITIES.WARNING,
+            ISSUE_TYPES.UNRESOLVED_OPTION,
+            `Rule ${ruleIdx + 1} is triggered by option ID ${inputId}, which has no matching choice`
+          );
+        }
+      });
+    });
+
+    if (param.data?.expression) {
+      readCalculation(ctx, param).unresolved.forEach((v) =>
+        report(
+          SEVERITIES.ERROR,
+          ISSUE_TYPES.MISSING_CALCULATION_VARIABLE,
+          v.parameterId != null
+            ? `Calculation variable ${v.name} uses parameter ID ${v.parameterId}, which is not in the workflow`
+            : `Calculation variable ${v.name} has no source parameter`
+        )
+      );
+    }
+
+    param.data?.propertyFilters?.fields?.forEach((f, idx) => {
+      const field = f.displayName || f.externalId || f.field;
+      if (typeof field === "string" && field.startsWith("searchable.")) {
+        const propertyId = field.split(".")[1];
+        if (!propertyNameMap[propertyId]) {
+          report(
+            SEVERITIES.WARNING,
+            ISSUE_TYPES.UNRESOLVED_PROPERTY,
+            `Filter ${idx + 1} filters on property ID ${propertyId}, which has no name`
+          );
+        }
+      } else if (typeof field === "string" && ID_PATTERN.test(field) && !propertyNameMap[field]) {
+        report(
+          SEVERITIES.WARNING,
+          ISSUE_TYPES.UNRESOLVED_PROPERTY,
+          `Filter ${idx + 1} filters on property ID ${field}, which has no name`
+        );
+      }
+      f.values?.forEach((val) => {
+        if (typeof val === "string" && ID_PATTERN.test(val) && !optionMap[val] && !propertyNameMap[val]) {
+          report(
+            SEVERITIES.WARNING,
+            ISSUE_TYPES.UNRESOLVED_OPTION,
+            `Filter ${idx + 1} value ${val} cannot be resolved and is left out of the narration`
+          );
+        }
+      });
+      if (f.referencedParameterId && !hasParameter(f.referencedParameterId)) {
+        report(
+          SEVERITIES.ERROR,
+          ISSUE_TYPES.MISSING_REFERENCED_PARAMETER,
+          `Filter ${idx + 1} references parameter ID ${f.referencedParameterId}, which is not in the workflow`
+        );
+      }
+    });
+
+    param.validations?.forEach((validation) =>
+      [
+        ["Date/Time Validation", validation.dateTimeParameterValidations],
+        ["Criteria Validation", validation.criteriaValidations],
+        ["Property Validation", validation.propertyValidations],
+        ["Resource Validation", validation.resourceParameterValidations],
+        ["Relation Validation", validation.relationPropertyValidations],
+      ].forEach(([typeName, list]) =>
+        list?.forEach((v, idx) => {
+          const label = `${typeName} ${idx + 1}`;
+          if (v.referencedParameterId && !hasParameter(v.referencedParameterId)) {
+            report(
+              SEVERITIES.ERROR,
+              ISSUE_TYPES.MISSING_REFERENCED_PARAMETER,
+              `${label} references parameter ID ${v.referencedParameterId}, which is not in the workflow`
+            );
+          }
+          if (
+            typeof v.propertyId === "string" &&
+            ID_PATTERN.test(v.propertyId) &&
+            !propertyNameMap[v.propertyId]
+          ) {
+            report(
+              SEVERITIES.WARNING,
+              ISSUE_TYPES.UNRESOLVED_PROPERTY,
+              `${label} checks property ID ${v.propertyId}, which has no name`
+            );
+          }
+          if (
+            v.selector?.toUpperCase() === "CONSTANT" &&
+            typeof v.value === "string" &&
+            ID_PATTERN.test(v.value) &&
+            !optionMap[v.value] &&
+            !propertyNameMap[v.value]
+          ) {
+            report(
+              SEVERITIES.WARNING,
+              ISSUE_TYPES.UNRESOLVED_OPTION,
+              `${label} compares against option ID ${v.value}, which has no matching choice`
+            );
+          }
+        })
+      )
+    );
+  };
+
+  // -------------------- TASK CHECKS --------------------
+  const lintTask = (where, task) => {
+    const report = (severity, type, details) =>
+      issues.push({ severity, type, ...where, parameter: "", details });
+
+    task.prerequisiteTaskIds?.forEach((taskId) => {
+      if (!lookupTask(taskId)) {
+        report(
+          SEVERITIES.ERROR,
+          ISSUE_TYPES.MISSING_PREREQUISITE,
+          `Prerequisite task ID ${taskId} is not in the workflow`
+        );
+      }
+    });
+
+    const lock = task.taskExecutorLock;
+    if (lock?.hasToBeExecutorId && !lookupTask(lock.hasToBeExecutorId)) {
+      report(
+        SEVERITIES.ERROR,
+        ISSUE_TYPES.MISSING_EXECUTOR_TASK,
+        `"Must be executed by same person as" task ID ${lock.hasToBeExecutorId} is not in the workflow`
+      );
+    }
+    lock?.cannotBeExecutorIds?.forEach((taskId) => {
+      if (!lookupTask(taskId)) {
+        report(
+          SEVERITIES.ERROR,
+          ISSUE_TYPES.MISSING_EXECUTOR_TASK,
+          `"Cannot be executed by same person as" task ID ${taskId} is not in the workflow`
+        );
+      }
+    });
+
+    task.automationRequests?.forEach((auto) => {
+      const refId = auto.actionDetails?.referencedParameterId;
+      if (refId && !hasParameter(refId)) {
+        report(
+          SEVERITIES.ERROR,
+          ISSUE_TYPES.MISSING_REFERENCED_PARAMETER,
+          `Automation "${auto.displayName || "Unnamed Automation"}" references parameter ID ${refId}, which is not in the workflow`
+        );
+      }
+    });
+  };
+
+  wf.parameterRequests?.forEach((param) => lintParam({ stage: CJF_STAGE_NAME, task: "" }, param));
+  wf.stageRequests?.forEach((stage) =>
+    stage.taskRequests?.forEach((task) => {
+      const where = { stage: stage.name, task: task.name };
+      lintTask(where, task);
+      task.parameterRequests?.forEach((param) => lintParam(where, param));
+    })
+  );
+
+  return issues;
+};
+
+/**
+ * Flattens issues into the rows used by the Issues panel and export sheet.
+ *
+ * @param {WorkflowIssue[]} issues
+ * @param {string} [workflowName]
+ * @returns {Object[]}
+ */
+export const issuesToRows = (issues, workflowName = "") =>
+  issues.map((issue) => ({
+    "Workflow Name": workflowName,
+    "Severity": issue.severity,
+    "Issue": issue.type,
+    "Stage": issue.stage,
+    "Task": issue.task,
+    "Parameter": issue.parameter,
+    "Details": issue.details,
+  }));
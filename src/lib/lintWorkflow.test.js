@@ -0,0 +1,149 @@
+import { describe, expect, it } from "vitest";
+import { lintWorkflow, ISSUE_TYPES, SEVERITIES } from "./lintWorkflow.js";
+import { buildWorkflowContext } from "./workflowContext.js";
+import { getDependenciesText } from "./narration.js";
+
+const DANGLING_ID = "deadbeefdeadbeefdeadbeef";
+
+const makeWorkflow = (secondTask) => ({
+  stageRequests: [
+    {
+      id: "s1",
+      name: "Mixing",
+      taskRequests: [
+        { id: "aaaaaaaaaaaaaaaaaaaaaaaa", name: "A", parameterRequests: [] },
+        { id: "bbbbbbbbbbbbbbbbbbbbbbbb", name: "B", parameterRequests: [], ...secondTask },
+      ],
+    },
+  ],
+});
+
+describe("lintWorkflow", () => {
+  it("reports a prerequisite id that is not in the workflow", () => {
+    const issues = lintWorkflow(makeWorkflow({ prerequisiteTaskIds: [DANGLING_ID] }));
+    expect(issues).toMatchObject([
+      {
+        severity: SEVERITIES.ERROR,
+        type: ISSUE_TYPES.MISSING_PREREQUISITE,
+        stage: "Mixing",
+        task: "B",
+      },
+    ]);
+  });
+
+  it("reports executor locks on tasks that are not in the workflow", () => {
+    const issues = lintWorkflow(
+      makeWorkflow({
+        taskExecutorLock: { hasToBeExecutorId: DANGLING_ID, cannotBeExecutorIds: ["12"] },
+      })
+    );
+    expect(issues.map((issue) => issue.type)).toEqual([
+      ISSUE_TYPES.MISSING_EXECUTOR_TASK,
+      ISSUE_TYPES.MISSING_EXECUTOR_TASK,
+    ]);
+  });
+
+  it("accepts references that exist, whether the id is a number or a string", () => {
+    const wf = {
+      stageRequests: [
+        {
+          name: "Mixing",
+          taskRequests: [
+            { id: 1, name: "A" },
+            {
+              id: "2",
+              name: "B",
+              prerequisiteTaskIds: ["1"],
+              taskExecutorLock: { hasToBeExecutorId: 1 },
+            },
+          ],
+        },
+      ],
+    };
+    expect(lintWorkflow(wf)).toEqual([]);
+  });
+
+  it("reports branching rules that target a missing parameter", () => {
+    const wf = {
+      parameterRequests: [
+        {
+          id: "p1",
+          label: "OK?",
+          type: "YES_NO",
+          rules: [{ input: [], show: { parameters: ["p9"] } }],
+        },
+      ],
+    };
+    expect(lintWorkflow(wf)).toMatchObject([{ type: ISSUE_TYPES.MISSING_RULE_TARGET }]);
+  });
+});
+
+describe("lookupTask", () => {
+  it("does not resolve an unknown id to another task", () => {
+    const wf = makeWorkflow({ prerequisiteTaskIds: [DANGLING_ID] });
+    const ctx = buildWorkflowContext(wf);
+    expect(ctx.lookupTask(DANGLING_ID)).toBeNull();
+    expect(ctx.lookupTask("not-an-id")).toBeNull();
+    expect(getDependenciesText(ctx, wf.stageRequests[0].taskRequests[1])).toContain(
+      `Task ID: ${DANGLING_ID} (not found in workflow)`
+    );
+  });
+});
+
+describe("lintWorkflow calculations", () => {
+  it("reports calculation variables that resolve to no parameter", () => {
+    const issues = lintWorkflow({
+      parameterRequests: [
+        { id: "gross", label: "Gross" },
+        {
+          id: "net",
+          label: "Net",
+          data: {
+            expression: "g - t",
+            variables: { g: { parameterId: "gross" }, t: { parameterId: "tare" } },
+          },
+        },
+      ],
+      stageRequests: [],
+    });
+    expect(issues).toMatchObject([
+      {
+        severity: SEVERITIES.ERROR,
+        type: ISSUE_TYPES.MISSING_CALCULATION_VARIABLE,
+        parameter: "Net",
+        details: "Calculation variable t uses parameter ID tare, which is not in the workflow",
+      },
+    ]);
+  });
+});
+
+describe("lintWorkflow hidden mandatory parameters", () => {
+  const hiddenMandatory = (wf) =>
+    lintWorkflow(wf)
+      .filter((issue) => issue.type === ISSUE_TYPES.HIDDEN_MANDATORY)
+      .map((issue) => [issue.severity, issue.parameter]);
+
+  it("warns about mandatory parameters that a rule has to show first", () => {
+    const wf = {
+      parameterRequests: [
+        {
+          id: "check",
+          label: "Check",
+          data: [
+            { id: "yes", name: "Yes" },
+            { id: "no", name: "No" },
+          ],
+          rules: [
+            { input: ["yes"], show: { parameters: ["reason"] } },
+            { input: ["no"], hide: { parameters: ["comment"] } },
+          ],
+        },
+        { id: "reason", label: "Reason", mandatory: true },
+        { id: "comment", label: "Comment", mandatory: true },
+        { id: "optional", label: "Optional note" },
+      ],
+      stageRequests: [],
+    };
+    expect(hiddenMandatory(wf)).toEqual([[SEVERITIES.WARNING, "Reason"]]);
+  });
+});
@@ -0,0 +1,202 @@
+import JSZip from "jszip";
+
+/**
+ * A workflow JSON together with the file it was read from.
+ *
+ * @typedef {Object} LoadedWorkflow
+ * @property {string} fileName Source file (ZIP entry path for archives).
+ * @property {Object} workflow Parsed workflow JSON.
+ * @property {string} [format] Set once the workflow has been normalized (see normalizeWorkflow.js).
+ * @property {string[]} [unrecognizedFields] Set together with `format`.
+ */
+
+// -------------------- HELPER: Decode any supported input to text --------------------
+const readText = async (data) => {
+  if (typeof data === "string") return data;
+  if (typeof data?.text === "function") return data.text();
+  return new TextDecoder().decode(data);
+};
+
+/**
+ * A file or workflow that could not be imported. Everything else in the
+ * upload is still loaded; failures are listed in the import report.
+ *
+ * @typedef {Object} ImportFailure
+ * @property {"read"|"convert"} phase Reading the file, or building the workflow's narration.
+ * @property {string} fileName     File (or ZIP entry) concerned.
+ * @property {string} workflowName Empty when the file itself could not be read.
+ * @property {string} stage        Where the narration failed, when known.
+ * @property {string} task
+ * @property {string} parameter
+ * @property {string} message      What went wrong, with the line and column for invalid JSON.
+ */
+
+export const IMPORT_PHASES = { READ: "read", CONVERT: "convert" };
+
+/**
+ * Import failure of a file that could not be read.
+ *
+ * @param {string} fileName
+ * @param {Error} err
+ * @returns {ImportFailure}
+ */
+export const readFailure = (fileName, err) => ({
+  phase: IMPORT_PHASES.READ,
+  fileName,
+  workflowName: "",
+  stage: "",
+  task: "",
+  parameter: "",
+  message: err.message,
+});
+
+// -------------------- HELPER: JSON error with the line and column of its position --------------------
+const jsonErrorMessage = (err, text) => {
+  const position = err.message.match(/at position (\d+)/)?.[1];
+  if (position === undefined || /\bline \d+/.test(err.message)) return err.message;
+  const lines = text.slice(0, Number(position)).split("\n");
+  return `${err.message} (line ${lines.length}, column ${lines[lines.length - 1].length + 1})`;
+};
+
+// -------------------- HELPER: Parse JSON, errors say where the JSON breaks --------------------
+const parseWorkflowJson = (fileName, text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (err) {
+    throw new Error(jsonErrorMessage(err, text));
+  }
+  return (Array.isArray(parsed) ? parsed : [parsed]).map((workflow) => ({ fileName, workflow }));
+};
+
+// Nested archives are unpacked up to this depth; deeper ones are most likely a ZIP bomb
+const MAX_ZIP_DEPTH = 8;
+// Folders macOS adds to archives; their "._name.json" entries are not JSON
+const IGNORED_ENTRY = /(^|\/)__MACOSX\//;
+
+/**
+ * True for the files the upload area accepts: workflow JSONs and ZIPs.
+ * Used to pick them out of dropped or CLI-given folders.
+ *
+ * @param {string} fileName
+ * @returns {boolean}
+ */
+export const isWorkflowFileName = (fileName) => /\.(json|zip)$/i.test(fileName);
+
+// -------------------- HELPER: Every JSON entry of a ZIP, nested ZIPs unpacked --------------------
+// Entries of a nested archive are named "<inner.zip>/<entry>"; archives that cannot be opened go to fail()
+const collectJsonEntries = async (fileName, data, prefix, depth, fail) => {
+  if (depth > MAX_ZIP_DEPTH) {
+    fail(fileName, new Error(`ZIPs nested more than ${MAX_ZIP_DEPTH} levels deep`));
+    return [];
+  }
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(data);
+  } catch (err) {
+    fail(fileName, err);
+    return [];
+  }
+
+  const entries = [];
+  const entryNames = Object.keys(zip.files).filter(
+    (entryName) => !zip.files[entryName].dir && !IGNORED_ENTRY.test(entryName)
+  );
+  for (const entryName of entryNames) {
+    const name = `${prefix}${entryName}`;
+    if (/\.json$/i.test(entryName)) {
+      entries.push({ name, entry: zip.files[entryName] });
+    } else if (/\.zip$/i.test(entryName)) {
+      const nested = await zip.files[entryName].async("uint8array");
+      entries.push(...(await collectJsonEntries(name, nested, `${name}/`, depth + 1, fail)));
+    }
+  }
+  return entries;
+};
+
+/**
+ * Reads a single uploaded file into workflows. Accepts the same inputs as the
+ * upload area: a workflow JSON, a JSON array of workflows, or a ZIP of either.
+ * ZIPs inside a ZIP are unpacked too; their workflows are attributed to
+ * "<inner.zip>/<entry>".
+ *
+ * Without `onFailure` the first file that cannot be read rejects the whole
+ * call. With it, that file (or ZIP entry) is reported and the rest still load.
+ *
+ * @param {string} fileName Used to detect ZIPs and to attribute workflows.
+ * @param {string|ArrayBuffer|Uint8Array|Blob} data File contents.
+ * @param {Object} [options]
+ * @param {string} [options.entryPrefix] Put before the names of ZIP entries, e.g. the archive name
+ *   when several files are read together.
+ * @param {(progress: { fileName: string, current: number, total: number }) => void} [options.onProgress]
+ *   Called after each JSON file (ZIP entry) is parsed.
+ * @param {(failure: ImportFailure) => void} [options.onFailure] Called for each file or ZIP entry
+ *   that cannot be read.
+ * @returns {Promise<LoadedWorkflow[]>}
+ * @throws {Error} When the file (or any JSON inside a ZIP) cannot be parsed and there is no onFailure.
+ */
+export const readWorkflowFile = async (fileName, data, options = {}) => {
+  const { onProgress, onFailure, entryPrefix = "" } = options;
+  const fail = (name, err) => {
+    if (!onFailure) throw new Error(`${name}: ${err.message}`);
+    onFailure(readFailure(name, err));
+  };
+
+  if (!fileName.toLowerCase().endsWith(".zip")) {
+    let loaded = [];
+    try {
+      loaded = parseWorkflowJson(fileName, await readText(data));
+    } catch (err) {
+      fail(fileName, err);
+    }
+    onProgress?.({ fileName, current: 1, total: 1 });
+    return loaded;
+  }
+
+  const loaded = [];
+  const entries = await collectJsonEntries(fileName, data, entryPrefix, 0, fail);
+  for (const [idx, { name, entry }] of entries.entries()) {
+    try {
+      loaded.push(...parseWorkflowJson(name, await entry.async("string")));
+    } catch (err) {
+      fail(name, err);
+    }
+    onProgress?.({ fileName: name, current: idx + 1, total: entries.length });
+  }
+  return loaded;
+};
+
+/**
+ * One file of a multi-file upload.
+ *
+ * @typedef {Object} UploadedFile
+ * @property {string} name Path shown as the source file, e.g. "exports/batch.zip" for a folder upload.
+ * @property {string|ArrayBuffer|Uint8Array|Blob} data File contents.
+ */
+
+/**
+ * Reads several uploaded files (JSONs and ZIPs, e.g. a dropped folder) into
+ * one combined list of workflows, in upload order. With more than one file,
+ * ZIP entries are attributed as "<archive>/<entry>" so equally named entries
+ * of different archives stay apart.
+ *
+ * @param {UploadedFile[]} files
+ * @param {Object} [options]
+ * @param {(progress: { fileName: string, current: number, total: number }) => void} [options.onProgress]
+ *   Called after each JSON file is parsed; counts restart for every uploaded file.
+ * @param {(failure: ImportFailure) => void} [options.onFailure] See {@link readWorkflowFile}.
+ * @returns {Promise<LoadedWorkflow[]>}
+ * @throws {Error} When any of the files cannot be parsed and there is no onFailure.
+ */
+export const readWorkflowFiles = async (files, options = {}) => {
+  const loaded = [];
+  for (const { name, data } of files) {
+    loaded.push(
+      ...(await readWorkflowFile(name, data, {
+        ...options,
+        entryPrefix: files.length > 1 ? `${name}/` : "",
+      }))
+    );
+  }
+  return loaded;
+};
@@ -0,0 +1,92 @@
+import JSZip from "jszip";
+import { describe, expect, it } from "vitest";
+import { isWorkflowFileName, readWorkflowFile, readWorkflowFiles } from "./loadWorkflows.js";
+
+const zipOf = async (files) => {
+  const zip = new JSZip();
+  for (const [name, content] of Object.entries(files)) {
+    const raw = typeof content === "string" || content instanceof Uint8Array;
+    zip.file(name, raw ? content : JSON.stringify(content));
+  }
+  return zip.generateAsync({ type: "uint8array" });
+};
+
+const attribution = (loaded) => loaded.map(({ fileName, workflow }) => [fileName, workflow.name]);
+
+describe("readWorkflowFile", () => {
+  it("reads a single workflow or a JSON array of workflows", async () => {
+    const text = JSON.stringify([{ name: "Mixing" }, { name: "Packing" }]);
+    expect(attribution(await readWorkflowFile("batch.json", text))).toEqual([
+      ["batch.json", "Mixing"],
+      ["batch.json", "Packing"],
+    ]);
+  });
+
+  it("unpacks ZIPs inside ZIPs and names entries after their archive", async () => {
+    const inner = await zipOf({ "packing.json": { name: "Packing" } });
+    const outer = await zipOf({
+      "mixing.json": { name: "Mixing" },
+      "old/archive.zip": inner,
+      "__MACOSX/._mixing.json": "not json",
+      "notes.txt": "not a workflow",
+    });
+    expect(attribution(await readWorkflowFile("exports.zip", outer))).toEqual([
+      ["mixing.json", "Mixing"],
+      ["old/archive.zip/packing.json", "Packing"],
+    ]);
+  });
+});
+
+describe("readWorkflowFiles", () => {
+  it("prefixes ZIP entries with the archive name when several files are read", async () => {
+    const files = [
+      { name: "a.zip", data: await zipOf({ "line.json": { name: "Line A" } }) },
+      { name: "b.zip", data: await zipOf({ "line.json": { name: "Line B" } }) },
+      { name: "extra/c.json", data: JSON.stringify({ name: "Line C" }) },
+    ];
+    expect(attribution(await readWorkflowFiles(files))).toEqual([
+      ["a.zip/line.json", "Line A"],
+      ["b.zip/line.json", "Line B"],
+      ["extra/c.json", "Line C"],
+    ]);
+  });
+});
+
+describe("isWorkflowFileName", () => {
+  it("accepts JSON and ZIP files only", () => {
+    expect(["a.JSON", "b.zip", "c.txt", "d.json.bak"].map(isWorkflowFileName)).toEqual([
+      true,
+      true,
+      false,
+      false,
+    ]);
+  });
+});
+
+describe("import failures", () => {
+  it("says on which line and column the JSON breaks", async () => {
+    const failures = [];
+    const text = '{\n  "name": "Mixing",\n  oops\n}';
+    const loaded = await readWorkflowFile("mixing.json", text, {
+      onFailure: (failure) => failures.push(failure),
+    });
+    expect(loaded).toEqual([]);
+    expect(failures).toHaveLength(1);
+    expect(failures[0]).toMatchObject({ phase: "read", fileName: "mixing.json", workflowName: "" });
+    expect(failures[0].message).toMatch(/\(line 3, column 3\)$/);
+  });
+
+  it("reports a broken ZIP entry and still reads the others", async () => {
+    const failures = [];
+    const zip = await zipOf({ "good.json": { name: "Mixing" }, "bad.json": "{ name" });
+    const loaded = await readWorkflowFile("exports.zip", zip, {
+      onFailure: (failure) => failures.push(failure),
+    });
+    expect(attribution(loaded)).toEqual([["good.json", "Mixing"]]);
+    expect(failures.map((failure) => failure.fileName)).toEqual(["bad.json"]);
+  });
+
+  it("rejects the whole file without onFailure", async () => {
+    await expect(readWorkflowFile("mixing.json", "{ name")).rejects.toThrow(/^mixing\.json: /);
+  });
+});
@@ -0,0 +1,432 @@
+import { formatKey } from "./formatters.js";
+import { describeParameter } from "./descriptions.js";
+import { getCalculationText } from "./calculation.js";
+import { instructionToText } from "./instructionText.js";
+import { getMediaText, getSchedulingText, getTaskSettingsText, getTimerText } from "./taskSettings.js";
+import { VISIBILITY } from "./workflowContext.js";
+
+// -------------------- FILTERS --------------------
+export const getFiltersText = (ctx, param) => {
+  const { parameterMap, propertyNameMap, optionMap, terms } = ctx;
+  const propertyFilters = param?.data?.propertyFilters;
+  if (!propertyFilters) return "";
+
+  const fields = propertyFilters.fields || [];
+  if (!fields.length) return "";
+
+  const filterLines = fields.map((f, idx) => {
+    const parts = [];
+
+    // Extract property ID from field (e.g., "searchable.67b339d329cd0b40defdd89b" -> "67b339d329cd0b40defdd89b")
+    let fieldName = f.displayName || f.externalId || f.field || null;
+    let resolvedFieldName = null;
+
+    // If field starts with "searchable.", extract the ID and look it up
+    if (typeof fieldName === 'string' && fieldName.startsWith('searchable.')) {
+      const propertyId = fieldName.split('.')[1];
+      resolvedFieldName = propertyNameMap[propertyId];
+    }
+    // Similarly check if it's just an ID (hexadecimal-like string)
+    else if (typeof fieldName === 'string' && fieldName.match(/^[a-f0-9]{24}$/)) {
+      resolvedFieldName = propertyNameMap[fieldName];
+    }
+    // If it's already a readable name (not an ID pattern)
+    else if (fieldName && !fieldName.includes('.') && !fieldName.match(/^[a-f0-9]{24}$/)) {
+      resolvedFieldName = fieldName;
+    }
+
+    // Only add the Field line if we have a resolved readable name
+    if (resolvedFieldName) {
+      parts.push(`Field: ${resolvedFieldName}`);
+    }
+
+    if (f.fieldType) parts.push(`Type: ${formatKey(f.fieldType)}`);
+    if (f.op) parts.push(`Condition: ${terms.constraint(f.op)}`);
+    if (f.selector) parts.push(`Selector: ${terms.selector(f.selector)}`);
+
+    // Only show values if selector is NOT Parameter
+    if (f.values && f.values.length > 0 && f.selector && f.selector.toUpperCase() !== 'PARAMETER') {
+      // Resolve value IDs to readable names
+      const resolvedValues = f.values.map(val => {
+        // Check if it's an ID pattern
+        if (typeof val === 'string' && val.match(/^[a-f0-9]{24}$/)) {
+          const resolved = optionMap[val] || propertyNameMap[val];
+          // If we can't resolve it, skip this value entirely
+          return resolved || null;
+        }
+        return val;
+      }).filter(v => v !== null); // Remove unresolved IDs
+
+      // Only add Values line if we have any resolved values
+      if (resolvedValues.length > 0) {
+        parts.push(`Values: ${resolvedValues.join(", ")}`);
+      }
+    }
+
+    if (f.referencedParameterId) {
+      const refLabel = parameterMap[f.referencedParameterId] || f.referencedParameterId;
+      parts.push(`Referenced Parameter: ${refLabel}`);
+    }
+    return `Filter ${idx + 1}:\n  ${parts.join("\n  ")}`;
+  });
+
+  return filterLines.join("\n\n");
+};
+
+// -------------------- VALIDATIONS --------------------
+export const getValidationsText = (ctx, param) => {
+  const { parameterMap, propertyNameMap, optionMap, terms } = ctx;
+  const validations = param?.validations;
+  if (!validations || !validations.length) return "";
+  
+  const allValidationTexts = [];
+  
+  validations.forEach((validation) => {
+    const exceptionType = terms.exceptionType(validation.exceptionApprovalType);
+    
+    const processValidationArray = (validationArray, typeName) => {
+      if (!validationArray || !validationArray.length) return;
+      
+      validationArray.forEach((v, idx) => {
+        const parts = [`${typeName} ${idx + 1}:`];
+        parts.push(`  Exception Type: ${exceptionType}`);
+        
+        if (v.constraint) parts.push(`  Condition: ${terms.constraint(v.constraint)}`);
+        if (v.selector) parts.push(`  Selector: ${terms.selector(v.selector)}`);
+
+        // Resolve value if it's an ID and selector is Constant
+        if (v.value !== undefined && v.value !== null) {
+          let resolvedValue = v.value;
+          if (v.selector && v.selector.toUpperCase() === 'CONSTANT' && typeof v.value === 'string' && v.value.match(/^[a-f0-9]{24}$/)) {
+            resolvedValue = optionMap[v.value] || propertyNameMap[v.value] || v.value;
+          }
+          parts.push(`  Value: ${resolvedValue}`);
+        }
+
+        if (v.dateUnit) parts.push(`  Unit: ${terms.unit(v.dateUnit)}`);
+        if (v.errorMessage) parts.push(`  Error Message: "${v.errorMessage}"`);
+        
+        if (v.referencedParameterId) {
+          const refLabel = parameterMap[v.referencedParameterId] || v.referencedParameterId;
+          parts.push(`  Referenced Parameter: ${refLabel}`);
+        }
+        
+        if (v.propertyId) {
+          // Try to resolve property ID to readable name
+          let propName = propertyNameMap[v.propertyId];
+          if (!propName && typeof v.propertyId === 'string' && v.propertyId.match(/^[a-f0-9]{24}$/)) {
+            // If still not found and it looks like an ID, skip showing it
+            propName = null;
+          } else if (!propName) {
+            propName = v.propertyId;
+          }
+
+          if (propName) {
+            parts.push(`  Property: ${propName}`);
+          }
+        }
+        
+        if (v.parameterLabel) parts.push(`  Parameter: ${v.parameterLabel}`);
+        if (v.minValue !== undefined) parts.push(`  Min Value: ${v.minValue}`);
+        if (v.maxValue !== undefined) parts.push(`  Max Value: ${v.maxValue}`);
+        
+        allValidationTexts.push(parts.join("\n"));
+      });
+    };
+    
+    processValidationArray(validation.dateTimeParameterValidations, "Date/Time Validation");
+    processValidationArray(validation.criteriaValidations, "Criteria Validation");
+    processValidationArray(validation.propertyValidations, "Property Validation");
+    processValidationArray(validation.resourceParameterValidations, "Resource Validation");
+    processValidationArray(validation.relationPropertyValidations, "Relation Validation");
+    
+    if (validation.customValidations) {
+      const parts = [`Custom Validation:`];
+      parts.push(`  Exception Type: ${exceptionType}`);
+      if (typeof validation.customValidations === 'object') {
+        Object.keys(validation.customValidations).forEach((key) => {
+          parts.push(`  ${formatKey(key)}: ${JSON.stringify(validation.customValidations[key])}`);
+        });
+      } else {
+        parts.push(`  Details: ${validation.customValidations}`);
+      }
+      allValidationTexts.push(parts.join("\n"));
+    }
+  });
+  
+  return allValidationTexts.join("\n\n");
+};
+
+// -------------------- DEPENDENCIES --------------------
+export const getDependenciesText = (ctx, task) => {
+  const { lookupTask } = ctx;
+  const prereqs = task?.prerequisiteTaskIds;
+  if (!prereqs || !prereqs.length) return "N/A";
+  
+  const depLines = prereqs.map((taskId) => {
+    const taskInfo = lookupTask(taskId);
+    
+    if (taskInfo) {
+      return `Stage ${taskInfo.stageOrder}: ${taskInfo.stageName}\n  → Task ${taskInfo.stageOrder}.${taskInfo.taskOrder}: ${taskInfo.taskName}`;
+    }
+    return `Task ID: ${taskId} (not found in workflow)`;
+  });
+  
+  return `Tasks that need to be executed before this task:\n${depLines.join("\n")}`;
+};
+
+// -------------------- EXECUTOR LOCK --------------------
+export const getExecutorLockText = (ctx, task) => {
+  const { lookupTask } = ctx;
+  const lock = task?.taskExecutorLock;
+  if (!lock) return "N/A";
+  
+  const lines = [];
+  
+  if (lock.hasToBeExecutorId) {
+    const taskInfo = lookupTask(lock.hasToBeExecutorId);
+    if (taskInfo) {
+      lines.push(`Must be executed by same person as:\n  Task ${taskInfo.stageOrder}.${taskInfo.taskOrder}: ${taskInfo.taskName} (${taskInfo.stageName})`);
+    } else {
+      lines.push(`Must be executed by same person as: Task ID ${lock.hasToBeExecutorId}`);
+    }
+  }
+  
+  if (lock.cannotBeExecutorIds?.length) {
+    const cannotBe = lock.cannotBeExecutorIds.map((taskId) => {
+      const taskInfo = lookupTask(taskId);
+      if (taskInfo) {
+        return `Task ${taskInfo.stageOrder}.${taskInfo.taskOrder}: ${taskInfo.taskName} (${taskInfo.stageName})`;
+      }
+      return `Task ID: ${taskId}`;
+    });
+    lines.push(`Cannot be executed by same person as:\n  ${cannotBe.join("\n  ")}`);
+  }
+  
+  return lines.length ? lines.join("\n\n") : "N/A";
+};
+
+// -------------------- VERIFICATION --------------------
+// One reading of verificationType for the Performer and the verification columns
+const VERIFICATIONS = {
+  SELF: { self: true, peer: false },
+  PEER: { self: false, peer: true },
+  BOTH: { self: true, peer: true },
+};
+
+const getVerification = (param) =>
+  VERIFICATIONS[String(param?.verificationType || "").toUpperCase()] || { self: false, peer: false };
+
+// -------------------- PERFORMER --------------------
+// verificationType adds verifiers; task roles / user groups and executor locks narrow who performs
+
+const namesOf = (list) =>
+  (Array.isArray(list) ? list : [])
+    .map((item) => (typeof item === "string" ? item : item?.displayName || item?.name || item?.label))
+    .filter(Boolean)
+    .join(", ");
+
+export const getPerformerText = (ctx, param, task = null) => {
+  const { lookupTask } = ctx;
+  const taskRef = (taskId) => {
+    const taskInfo = lookupTask(taskId);
+    return taskInfo
+      ? `Task ${taskInfo.stageOrder}.${taskInfo.taskOrder}: ${taskInfo.taskName}`
+      : `Task ID ${taskId}`;
+  };
+
+  const verification = getVerification(param);
+  const lines = [
+    ["Performer", verification.self && "Self-verifier", verification.peer && "Peer-verifier"]
+      .filter(Boolean)
+      .join(" + "),
+  ];
+  const roles = namesOf(task?.roles);
+  const userGroups = namesOf(task?.userGroups);
+  if (roles) lines.push(`Roles: ${roles}`);
+  if (userGroups) lines.push(`User groups: ${userGroups}`);
+
+  const lock = task?.taskExecutorLock;
+  if (lock?.hasToBeExecutorId) {
+    lines.push(`Same performer as ${taskRef(lock.hasToBeExecutorId)}`);
+  }
+  if (lock?.cannotBeExecutorIds?.length) {
+    lines.push(`Different performer from ${lock.cannotBeExecutorIds.map(taskRef).join(", ")}`);
+  }
+  return lines.join("\n");
+};
+
+// -------------------- AUTOMATIONS (ORIGINAL CODE - UNCHANGED) --------------------
+export const buildAutomationText = (ctx, task) => {
+  const { wf, propertyNameMap } = ctx;
+  if (!task?.automationRequests?.length) return "";
+  const automations = task.automationRequests.map((auto) => {
+    const trigger = (auto.triggerType || "").replace(/_/g, " ").toLowerCase();
+    const action = (auto.actionType || "").replace(/_/g, " ").toLowerCase();
+    const name = auto.displayName || "Unnamed Automation";
+
+    let objectType = auto.actionDetails?.objectTypeDisplayName || "Unknown Object Type";
+
+    if (
+      objectType === "Unknown Object Type" &&
+      auto.actionDetails?.referencedParameterId
+    ) {
+      const refId = auto.actionDetails.referencedParameterId;
+      const refParam =
+        wf.parameterRequests?.find((p) => p.id === refId) ||
+        wf.stageRequests?.flatMap((s) => s.taskRequests || [])
+          .flatMap((t) => t.parameterRequests || [])
+          .find((p) => p.id === refId);
+      if (refParam?.data?.collection) objectType = refParam.data.collection;
+    }
+
+    const mappings =
+      auto.actionDetails?.configuration
+        ?.map((cfg) => {
+          const paramLabel =
+            cfg.parameterLabel ||
+            cfg.parameterDisplayName ||
+            propertyNameMap[cfg.parameterId] ||
+            "";
+          return paramLabel ? `• ${paramLabel}` : "";
+        })
+        .filter(Boolean)
+        .join("\n") || "";
+
+    return [
+      `Automation: ${name}`,
+      `Trigger: ${trigger}`,
+      `Action: ${action}`,
+      `Object Type: ${objectType}`,
+      mappings ? `Parameters to be automated:\n${mappings}` : "",
+    ]
+      .filter(Boolean)
+      .join("\n");
+  });
+  return automations.join("\n\n");
+};
+
+// -------------------- HELPER: Row with every column at its "nothing to say" value --------------------
+const blankRow = (stage, task) => ({
+  "Stage Name": stage,
+  "Activity Name": task,
+  "Performer": "N/A",
+  "Activity Description in detail": "N/A",
+  "Instruction Title": "",
+  "Options / Values": "N/A",
+  "Field Type": "N/A",
+  "Activity / Parameter Type": "N/A",
+  "Dependencies": "N/A",
+  "Executor Lock": "N/A",
+  "Branching": "N/A",
+  "Visibility": "N/A",
+  "Controls": "N/A",
+  "Filters": "N/A",
+  "Validations": "N/A",
+  "Automation Details": "",
+  "Task Description": "N/A",
+  "Timer": "N/A",
+  "Scheduling": "N/A",
+  "Media": "N/A",
+  "Task Settings": "N/A",
+  "Configuration Feasibility": "Configurable",
+  "Configuration Feasibility Notes": "N/A",
+  "Configuration Status": "Configured",
+  "IS SELF VERIFICATION PRESENT?": "N/A",
+  "Tester Comments": "N/A",
+  "IS PEER VERIFICATION PRESENT?": "N/A",
+  "Tester Comments (B)": "N/A",
+});
+
+// -------------------- TASK DESCRIPTION --------------------
+const getTaskDescriptionText = (task) =>
+  (task?.description && instructionToText(task.description)) || "N/A";
+
+// -------------------- TASK DESCRIPTION, TIMER, SCHEDULING, MEDIA, SETTINGS --------------------
+export const getTaskSettingColumns = (ctx, task) => ({
+  "Task Description": getTaskDescriptionText(task),
+  "Timer": getTimerText(task),
+  "Scheduling": getSchedulingText(ctx, task),
+  "Media": getMediaText(task),
+  "Task Settings": getTaskSettingsText(task),
+});
+
+// -------------------- STAGE / TASK HEADER ROWS --------------------
+// In the stage-and-task-rows mode task-level narration sits here instead of on the last parameter.
+// The task description goes in its own column only, as on a last parameter row
+export const makeStageRow = (ctx, stage, description = "") => ({
+  ...blankRow(stage, ""),
+  "Activity Description in detail": description ? instructionToText(description) : "N/A",
+  "Activity / Parameter Type": "Stage",
+});
+
+export const makeTaskRow = (ctx, stage, taskObj, automationText) => ({
+  ...blankRow(stage, taskObj.name),
+  "Performer": getPerformerText(ctx, {}, taskObj),
+  "Activity / Parameter Type": "Task",
+  "Dependencies": getDependenciesText(ctx, taskObj),
+  "Executor Lock": getExecutorLockText(ctx, taskObj),
+  "Automation Details": automationText || "",
+  ...getTaskSettingColumns(ctx, taskObj),
+});
+
+// -------------------- MAKE ROW --------------------
+// isLastParam flag determines if task-level info (dependencies, executor lock, automation,
+// timer, scheduling, media, settings) should be shown
+export const makeRow = (ctx, stage, task, param, automationText, taskObj = null, isLastParam = false) => {
+  const { visibilityMap, defaultVisibilityMap, controlsMap } = ctx;
+  const branchingText = visibilityMap[param.id] || "N/A";
+  const validationsText = getValidationsText(ctx, param) || "N/A";
+  const filtersText = getFiltersText(ctx, param) || "N/A";
+  
+  // Task-level fields - only show on last parameter of the task
+  const dependenciesText = isLastParam && taskObj ? getDependenciesText(ctx, taskObj) : "N/A";
+  const executorLockText = isLastParam && taskObj ? getExecutorLockText(ctx, taskObj) : "N/A";
+  const automationDetails = isLastParam ? (automationText || "") : "";
+  const taskSettingColumns = isLastParam && taskObj ? getTaskSettingColumns(ctx, taskObj) : {};
+
+  let options = "N/A";
+  if (Array.isArray(param.data)) {
+    options = param.data.map((d) => d?.name || d?.label || d?.value).filter(Boolean).join(" • ");
+  } else if (Array.isArray(param.data?.choices)) {
+    options = param.data.choices.map((d) => d?.name || d?.label || d?.value).filter(Boolean).join(" • ");
+  } else if (param.data?.collection) {
+    options = `[Resource: ${param.data.objectTypeDisplayName || param.data.collection}]`;
+  } else if (param.data?.text) {
+    options = instructionToText(param.data.text);
+  } else if (param.data?.expression) {
+    options = getCalculationText(ctx, param);
+  }
+
+  return {
+    "Stage Name": stage,
+    "Activity Name": task,
+    "Performer": getPerformerText(ctx, param, taskObj),
+    "Activity Description in detail": describeParameter(ctx, param),
+    "Instruction Title": param.label,
+    "Options / Values": options || "N/A",
+    "Field Type": param.mandatory ? "Mandatory" : "Optional",
+    "Activity / Parameter Type": param.type || "N/A",
+    "Dependencies": dependenciesText,
+    "Executor Lock": executorLockText,
+    "Branching": branchingText,
+    "Visibility": defaultVisibilityMap[param.id] || VISIBILITY.ALWAYS,
+    "Controls": controlsMap[param.id] || "N/A",
+    "Filters": filtersText,
+    "Validations": validationsText,
+    "Automation Details": automationDetails,
+    "Task Description": "N/A",
+    "Timer": "N/A",
+    "Scheduling": "N/A",
+    "Media": "N/A",
+    "Task Settings": "N/A",
+    ...taskSettingColumns,
+    "Configuration Feasibility": "Configurable",
+    "Configuration Feasibility Notes": "N/A",
+    "Configuration Status": "Configured",
+    "IS SELF VERIFICATION PRESENT?": getVerification(param).self ? "Enabled" : "Disabled",
+    "Tester Comments": "N/A",
+    "IS PEER VERIFICATION PRESENT?": getVerification(param).peer ? "Enabled" : "Disabled",
+    "Tester Comments (B)": "N/A",
+  };
+};
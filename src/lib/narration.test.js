@@ -0,0 +1,62 @@
+import { describe, expect, it } from "vitest";
+import { convertWorkflow } from "./convertWorkflow.js";
+
+const makeWorkflow = (params, task = {}) => ({
+  stageRequests: [
+    {
+      id: "s1",
+      name: "Mixing",
+      taskRequests: [
+        {
+          id: "t1",
+          name: "Charge",
+          parameterRequests: [{ id: "p0", label: "Start", type: "YES_NO" }],
+        },
+        { id: "t2", name: "Mix", parameterRequests: params, ...task },
+      ],
+    },
+  ],
+});
+
+describe("verification", () => {
+  it.each([
+    ["SELF", "Performer + Self-verifier", "Enabled", "Disabled"],
+    ["peer", "Performer + Peer-verifier", "Disabled", "Enabled"],
+    ["BOTH", "Performer + Self-verifier + Peer-verifier", "Enabled", "Enabled"],
+    [undefined, "Performer", "Disabled", "Disabled"],
+  ])("reads verificationType %s the same way in every column", (type, performer, self, peer) => {
+    const [, row] = convertWorkflow(
+      makeWorkflow([{ id: "p1", label: "Speed", verificationType: type }])
+    );
+    expect(row).toMatchObject({
+      Performer: performer,
+      "IS SELF VERIFICATION PRESENT?": self,
+      "IS PEER VERIFICATION PRESENT?": peer,
+    });
+  });
+});
+
+describe("executor lock", () => {
+  it("adds the lock to every Performer line of the task", () => {
+    const rows = convertWorkflow(
+      makeWorkflow(
+        [
+          { id: "p1", label: "Speed" },
+          { id: "p2", label: "Time" },
+        ],
+        {
+          roles: [{ name: "Operator" }],
+          taskExecutorLock: { hasToBeExecutorId: "t1", cannotBeExecutorIds: ["t1", "t9"] },
+        }
+      )
+    );
+    const performer = [
+      "Performer",
+      "Roles: Operator",
+      "Same performer as Task 1.1: Charge",
+      "Different performer from Task 1.1: Charge, Task ID t9",
+    ].join("\n");
+    expect(rows.slice(1).map((row) => row["Performer"])).toEqual([performer, performer]);
+    expect(rows[2]["Executor Lock"]).toContain("Task 1.1: Charge");
+  });
+});
@@ -0,0 +1,235 @@
+import {
+  Document,
+  HeadingLevel,
+  Paragraph,
+  Table,
+  TableCell,
+  TableRow,
+  TextRun,
+  WidthType,
+} from "docx";
+import { buildRowEntries, CJF_STAGE_NAME } from "./convertWorkflow.js";
+import { parseInstructionHtml } from "./instructionText.js";
+import {
+  buildAutomationText,
+  getDependenciesText,
+  getExecutorLockText,
+  getTaskSettingColumns,
+} from "./narration.js";
+import { VISIBILITY } from "./workflowContext.js";
+
+// -------------------- HELPER: Narration value worth printing --------------------
+const hasText = (value) => Boolean(value) && value !== "N/A";
+
+// -------------------- HELPER: Multi-line narration text as runs --------------------
+// Every line but the first starts on a new line, the first too when breakFirst is set
+const textRuns = (text, breakFirst = false) =>
+  String(text)
+    .split("\n")
+    .map((line, idx) => new TextRun({ text: line, break: idx || breakFirst ? 1 : 0 }));
+
+// -------------------- HELPER: "Label:" followed by the narration block --------------------
+const labelledBlock = (label, text) =>
+  new Paragraph({
+    spacing: { after: 120 },
+    indent: { left: 360 },
+    children: [new TextRun({ text: `${label}:`, bold: true }), ...textRuns(text, true)],
+  });
+
+/* -------------------- INSTRUCTION CONTENT -------------------- */
+// Instruction HTML keeps its bold / italic / underline, lists and tables here
+const instructionRuns = (runs) =>
+  runs.map(
+    (run) =>
+      new TextRun({
+        text: run.text,
+        bold: run.bold || undefined,
+        italics: run.italics || undefined,
+        underline: run.underline ? {} : undefined,
+        break: run.break ? 1 : undefined,
+      })
+  );
+
+const instructionContent = (html) =>
+  parseInstructionHtml(html).map((block) => {
+    if (block.type === "table") {
+      return new Table({
+        width: { size: 100, type: WidthType.PERCENTAGE },
+        rows: block.rows.map(
+          (cells, rowIdx) =>
+            new TableRow({
+              children: cells.map(
+                (cell) =>
+                  new TableCell({
+                    children: [new Paragraph({ children: [new TextRun({ text: cell, bold: rowIdx === 0 })] })],
+                  })
+              ),
+            })
+        ),
+      });
+    }
+    if (block.type === "image") {
+      return new Paragraph({
+        indent: { left: 360 },
+        children: [new TextRun({ text: `[Image: ${block.label}]`, italics: true })],
+      });
+    }
+    if (block.type === "listItem") {
+      const marker = block.ordered ? `${block.number}. ` : "";
+      return new Paragraph({
+        ...(block.ordered ? { indent: { left: 720 + block.level * 360 } } : { bullet: { level: block.level } }),
+        children: [new TextRun(marker), ...instructionRuns(block.runs)],
+      });
+    }
+    return new Paragraph({
+      indent: { left: 360 },
+      spacing: { after: 80 },
+      children: instructionRuns(
+        block.type === "heading" ? block.runs.map((run) => ({ ...run, bold: true })) : block.runs
+      ),
+    });
+  });
+
+const typeText = (type) => (hasText(type) ? type.replace(/_/g, " ").toLowerCase() : "");
+
+/* -------------------- PARAMETER PARAGRAPHS -------------------- */
+const parameterParagraphs = (number, row, param) => {
+  const instructionHtml = param?.data?.text;
+  const kind = [row["Field Type"].toLowerCase(), typeText(row["Activity / Parameter Type"])]
+    .filter(Boolean)
+    .join(" ");
+  const sentences = [row["Activity Description in detail"], `It is ${/^[aeiou]/.test(kind) ? "an" : "a"} ${kind} parameter.`];
+  // Calculations narrate formula, unit and precision on separate lines
+  const isCalculation = Boolean(param?.data?.expression);
+  if (hasText(row["Options / Values"]) && !instructionHtml && !isCalculation) {
+    sentences.push(`Options / values: ${row["Options / Values"]}.`);
+  }
+  if (hasText(row["Branching"])) sentences.push(`${row["Branching"]}.`);
+  if (row["Visibility"] === VISIBILITY.HIDDEN) sentences.push("It is hidden until a rule shows it.");
+  const selfVerified = row["IS SELF VERIFICATION PRESENT?"] === "Enabled";
+  const peerVerified = row["IS PEER VERIFICATION PRESENT?"] === "Enabled";
+  if (selfVerified && peerVerified) {
+    sentences.push("Self and peer verification are required.");
+  } else if (selfVerified) {
+    sentences.push("Self verification is required.");
+  } else if (peerVerified) {
+    sentences.push("Peer verification is required.");
+  }
+
+  const paragraphs = [
+    new Paragraph({
+      spacing: { before: 120, after: 120 },
+      children: [
+        new TextRun({ text: `${number}  ${row["Instruction Title"]}`, bold: true }),
+        new TextRun({ text: sentences.join(" "), break: 1 }),
+      ],
+    }),
+  ];
+  if (instructionHtml) paragraphs.push(...instructionContent(instructionHtml));
+  if (hasText(row["Options / Values"]) && isCalculation) {
+    paragraphs.push(labelledBlock("Options / values", row["Options / Values"]));
+  }
+  if (hasText(row["Validations"])) paragraphs.push(labelledBlock("Validations", row["Validations"]));
+  if (hasText(row["Filters"])) paragraphs.push(labelledBlock("Filters", row["Filters"]));
+  if (hasText(row["Controls"])) paragraphs.push(labelledBlock("Controls", row["Controls"]));
+  return paragraphs;
+};
+
+/* -------------------- TASK PARAGRAPHS -------------------- */
+// Written from the task itself, so tasks without parameters get theirs too
+const TASK_BLOCKS = [
+  ["Timer", "Timer"],
+  ["Scheduling", "Scheduling"],
+  ["Media", "Media"],
+  ["Task Settings", "Settings"],
+  ["Dependencies", "Dependencies"],
+  ["Executor Lock", "Executor Lock"],
+  ["Automation Details", "Automations"],
+];
+
+const taskParagraphs = (ctx, task) => {
+  const columns = {
+    ...getTaskSettingColumns(ctx, task),
+    "Dependencies": getDependenciesText(ctx, task),
+    "Executor Lock": getExecutorLockText(ctx, task),
+    "Automation Details": buildAutomationText(ctx, task),
+  };
+  return TASK_BLOCKS.filter(([column]) => hasText(columns[column])).map(([column, label]) =>
+    labelledBlock(label, columns[column])
+  );
+};
+
+/* -------------------- WORKFLOW SECTION -------------------- */
+const workflowSection = (group, options) => {
+  const { ctx, entries } = buildRowEntries(group.workflow, {
+    ...options,
+    workflowName: group.workflowName,
+    sourceFile: group.sourceFile,
+  });
+  const children = [
+    new Paragraph({ heading: HeadingLevel.TITLE, children: [new TextRun(group.workflowName)] }),
+  ];
+  if (group.sourceFile) {
+    children.push(
+      new Paragraph({ children: [new TextRun({ text: `Source file: ${group.sourceFile}`, italics: true })] })
+    );
+  }
+
+  const cjfEntries = entries.filter((entry) => !entry.stage && entry.param);
+  if (cjfEntries.length) {
+    children.push(new Paragraph({ heading: HeadingLevel.HEADING_1, children: [new TextRun(CJF_STAGE_NAME)] }));
+    cjfEntries.forEach((entry, idx) =>
+      children.push(...parameterParagraphs(`${idx + 1}.`, entry.row, entry.param))
+    );
+  }
+
+  // Same Stage N / Task N.M numbering as the Dependencies narration
+  group.workflow.stageRequests?.forEach((stage, stageIdx) => {
+    const stageOrder = stage.orderTree ?? stageIdx + 1;
+    children.push(
+      new Paragraph({
+        heading: HeadingLevel.HEADING_1,
+        children: [new TextRun(`Stage ${stageOrder}: ${stage.name}`)],
+      })
+    );
+    stage.taskRequests?.forEach((task, taskIdx) => {
+      const taskNumber = `${stageOrder}.${task.orderTree ?? taskIdx + 1}`;
+      const taskEntries = entries.filter((entry) => entry.task === task && entry.param);
+      children.push(
+        new Paragraph({
+          heading: HeadingLevel.HEADING_2,
+          children: [new TextRun(`Task ${taskNumber}: ${task.name}`)],
+        })
+      );
+      if (task.description) children.push(...instructionContent(String(task.description)));
+      if (!taskEntries.length) {
+        children.push(new Paragraph({ children: [new TextRun({ text: "No parameters.", italics: true })] }));
+      }
+      taskEntries.forEach((entry, idx) =>
+        children.push(...parameterParagraphs(`${taskNumber}.${idx + 1}`, entry.row, entry.param))
+      );
+      children.push(...taskParagraphs(ctx, task));
+    });
+  });
+
+  return { children };
+};
+
+/**
+ * Builds a narrative Word document (URS / functional-spec style) with one
+ * section per workflow: a heading per stage and task and a numbered paragraph
+ * per parameter, written from the same narration as the CSV/XLSX rows.
+ *
+ * Pure JS, so it runs in the browser; serialize with `Packer.toBlob` there or
+ * `Packer.toBuffer` in Node.
+ *
+ * @param {import("./convertWorkflow.js").WorkflowGroup[]} groups
+ * @param {Object} [options] Passed to buildRowEntries, e.g. the project vocabulary.
+ * @returns {Document} docx Document.
+ */
+export const workflowsToDocx = (groups, options = {}) =>
+  new Document({
+    creator: "Narration Maker",
+    title: groups.length === 1 ? groups[0].workflowName : "Workflow Narration",
+    sections: groups.map((group) => workflowSection(group, options)),
+  });
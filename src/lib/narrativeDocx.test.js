@@ -0,0 +1,85 @@
+import { describe, expect, it } from "vitest";
+import { Packer } from "docx";
+import JSZip from "jszip";
+import { convertWorkflowGroups } from "./convertWorkflow.js";
+import { workflowsToDocx } from "./narrativeDocx.js";
+
+const makeGroups = (workflow) =>
+  convertWorkflowGroups([
+    { fileName: "wf.json", workflow: { name: "Line Clearance", ...workflow } },
+  ]);
+
+// Paragraph texts of the packed document, one string per paragraph
+const docxParagraphs = async (groups) => {
+  const zip = await JSZip.loadAsync(await Packer.toBuffer(workflowsToDocx(groups)));
+  const xml = await zip.file("word/document.xml").async("string");
+  return [...xml.matchAll(/<w:p[ >][\s\S]*?<\/w:p>/g)].map(([paragraph]) =>
+    [...paragraph.matchAll(/<w:t[^>]*>([^<]*)<\/w:t>|<w:br\/>/g)]
+      .map(([tag, text]) => (tag === "<w:br/>" ? "\n" : text))
+      .join("")
+  );
+};
+
+describe("workflowsToDocx", () => {
+  it("writes task-level blocks for a task without parameters", async () => {
+    const paragraphs = await docxParagraphs(
+      makeGroups({
+        stageRequests: [
+          {
+            id: "s1",
+            name: "Preparation",
+            taskRequests: [
+              { id: "t1", name: "Inspect", parameterRequests: [{ id: "p1", label: "Area clean" }] },
+              {
+                id: "t2",
+                name: "Sign off",
+                description: 42,
+                prerequisiteTaskIds: ["t1"],
+                taskExecutorLock: { cannotBeExecutorIds: ["t1"] },
+                parameterRequests: [],
+              },
+            ],
+          },
+        ],
+      })
+    );
+    const signOff = paragraphs.slice(paragraphs.indexOf("Task 1.2: Sign off"));
+    expect(signOff).toContain("42");
+    expect(signOff).toContain("No parameters.");
+    expect(signOff.find((text) => text.startsWith("Dependencies:"))).toContain("Task 1.1: Inspect");
+    expect(signOff.find((text) => text.startsWith("Executor Lock:"))).toContain(
+      "Task 1.1: Inspect"
+    );
+  });
+
+  it("writes calculation options as a labelled block", async () => {
+    const paragraphs = await docxParagraphs(
+      makeGroups({
+        stageRequests: [
+          {
+            id: "s1",
+            name: "Weighing",
+            taskRequests: [
+              {
+                id: "t1",
+                name: "Weigh",
+                parameterRequests: [
+                  { id: "p1", label: "Gross", type: "NUMBER" },
+                  {
+                    id: "p2",
+                    label: "Net",
+                    type: "CALCULATION",
+                    data: { expression: "{{g}} * 2", variables: { g: { parameterId: "p1" } } },
+                  },
+                ],
+              },
+            ],
+          },
+        ],
+      })
+    );
+    const block = paragraphs.find((text) => text.startsWith("Options / values:\n"));
+    expect(block).toContain("Gross");
+    expect(paragraphs.some((text) => text.includes("Options / values: "))).toBe(false);
+  });
+});
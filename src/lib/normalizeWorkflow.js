@@ -0,0 +1,217 @@
+/**
+ * Workflow JSON arrives in several shapes. The narration reads one of them,
+ * the stageRequests import format; this module recognizes the others and maps
+ * them onto it before extraction.
+ */
+
+export const WORKFLOW_FORMATS = {
+  REQUEST: "Import (stageRequests)",
+  DETAIL: "API detail (stages)",
+  LEGACY: "Legacy export (activities)",
+};
+
+/**
+ * Where each format keeps its stages, tasks, parameters and automations.
+ * Create Job Form parameters sit at the top level under `cjf`.
+ */
+const SHAPES = {
+  [WORKFLOW_FORMATS.REQUEST]: {
+    stages: "stageRequests",
+    tasks: "taskRequests",
+    parameters: "parameterRequests",
+    automations: "automationRequests",
+    cjf: "parameterRequests",
+  },
+  [WORKFLOW_FORMATS.DETAIL]: {
+    stages: "stages",
+    tasks: "tasks",
+    parameters: "parameters",
+    automations: "automations",
+    cjf: "parameters",
+  },
+  [WORKFLOW_FORMATS.LEGACY]: {
+    stages: "stages",
+    tasks: "tasks",
+    parameters: "activities",
+    automations: "automations",
+    cjf: "parameters",
+  },
+};
+
+// Fields the conversion reads (workflowContext.js, narration.js, taskSettings.js,
+// orderWorkflow.js), besides the stage / task / parameter / automation lists.
+// Anything else is reported as unrecognized: the narration leaves it out.
+const READ_FIELDS = {
+  workflow: ["name", "displayName", "objects", "objectRequests"],
+  stage: ["id", "name", "description", "orderTree"],
+  task: [
+    "id",
+    "name",
+    "description",
+    "orderTree",
+    "prerequisiteTaskIds",
+    "taskExecutorLock",
+    "roles",
+    "userGroups",
+    "timed",
+    "timerOperator",
+    "minPeriod",
+    "maxPeriod",
+    "enableScheduling",
+    "taskSchedules",
+    "enableRecurrence",
+    "taskRecurrence",
+    "medias",
+    "isSoloTask",
+    "hasStop",
+  ],
+  parameter: [
+    "id",
+    "label",
+    "type",
+    "orderTree",
+    "mandatory",
+    "verificationType",
+    "data",
+    "rules",
+    "validations",
+  ],
+  automation: ["displayName", "triggerType", "actionType", "actionDetails"],
+};
+
+// Response envelopes the workflow may be wrapped in ({ data: {...} }, { checklist: {...} })
+const ENVELOPE_KEYS = ["data", "checklist", "workflow"];
+
+const isObject = (value) => Boolean(value) && typeof value === "object" && !Array.isArray(value);
+const listOf = (value) => (Array.isArray(value) ? value : []);
+
+// -------------------- HELPER: Workflow object inside a response envelope --------------------
+const unwrap = (raw) => {
+  const looksLikeWorkflow = (value) =>
+    isObject(value) && ["stageRequests", "stages", "parameterRequests"].some((key) => key in value);
+  if (looksLikeWorkflow(raw)) return raw;
+  const inner = ENVELOPE_KEYS.map((key) => raw?.[key]).find(looksLikeWorkflow);
+  return inner || raw;
+};
+
+/**
+ * Tells which shape a workflow JSON has.
+ *
+ * @param {Object} raw Parsed workflow JSON, possibly inside a { data } / { checklist } envelope.
+ * @returns {string|null} One of {@link WORKFLOW_FORMATS}, null when the shape is not known.
+ */
+export const detectWorkflowFormat = (raw) => {
+  const wf = unwrap(raw);
+  if (!isObject(wf)) return null;
+  if (Array.isArray(wf.stageRequests)) return WORKFLOW_FORMATS.REQUEST;
+  if (Array.isArray(wf.stages)) {
+    const tasks = wf.stages.flatMap((stage) => listOf(stage?.tasks));
+    return tasks.some((task) => Array.isArray(task?.activities))
+      ? WORKFLOW_FORMATS.LEGACY
+      : WORKFLOW_FORMATS.DETAIL;
+  }
+  if (Array.isArray(wf.parameterRequests)) return WORKFLOW_FORMATS.REQUEST;
+  if (Array.isArray(wf.parameters)) return WORKFLOW_FORMATS.DETAIL;
+  return null;
+};
+
+// -------------------- HELPER: Collect the field paths a format does not know --------------------
+const findUnrecognized = (wf, shape) => {
+  const found = new Set();
+  const check = (item, path, known, lists) => {
+    if (!isObject(item)) return;
+    Object.keys(item).forEach((key) => {
+      if (!known.includes(key) && !lists.includes(key)) {
+        found.add(`${path}${key}`);
+      }
+    });
+  };
+
+  check(wf, "", READ_FIELDS.workflow, [shape.stages, shape.cjf]);
+  listOf(wf[shape.cjf]).forEach((param) =>
+    check(param, `${shape.cjf}[].`, READ_FIELDS.parameter, [])
+  );
+  listOf(wf[shape.stages]).forEach((stage) => {
+    const stagePath = `${shape.stages}[].`;
+    check(stage, stagePath, READ_FIELDS.stage, [shape.tasks]);
+    listOf(stage?.[shape.tasks]).forEach((task) => {
+      const taskPath = `${stagePath}${shape.tasks}[].`;
+      check(task, taskPath, READ_FIELDS.task, [shape.parameters, shape.automations]);
+      listOf(task?.[shape.parameters]).forEach((param) =>
+        check(param, `${taskPath}${shape.parameters}[].`, READ_FIELDS.parameter, [])
+      );
+      listOf(task?.[shape.automations]).forEach((auto) =>
+        check(auto, `${taskPath}${shape.automations}[].`, READ_FIELDS.automation, [])
+      );
+    });
+  });
+  return [...found].sort();
+};
+
+// -------------------- HELPER: Copy without some keys --------------------
+const omit = (item, keys) =>
+  Object.fromEntries(Object.entries(item || {}).filter(([key]) => !keys.includes(key)));
+
+// -------------------- HELPER: Map a stages / tasks / parameters shape onto the import format --------------------
+const toRequestFormat = (wf, shape) => {
+  const stages = listOf(wf[shape.stages]);
+  const taskParameterIds = new Set(
+    stages.flatMap((stage) =>
+      listOf(stage?.[shape.tasks]).flatMap((task) =>
+        listOf(task?.[shape.parameters]).map((param) => param?.id)
+      )
+    )
+  );
+
+  return {
+    ...omit(wf, [shape.stages, shape.cjf]),
+    // API responses may list every parameter at the top level; only the Create Job Form ones stay
+    parameterRequests: listOf(wf[shape.cjf]).filter(
+      (param) => param?.id === undefined || !taskParameterIds.has(param.id)
+    ),
+    stageRequests: stages.map((stage) => ({
+      ...omit(stage, [shape.tasks]),
+      taskRequests: listOf(stage?.[shape.tasks]).map((task) => ({
+        ...omit(task, [shape.parameters, shape.automations]),
+        parameterRequests: listOf(task?.[shape.parameters]),
+        automationRequests: listOf(task?.[shape.automations]),
+      })),
+    })),
+  };
+};
+
+/**
+ * A workflow mapped onto the import format, with what was found on the way.
+ *
+ * @typedef {Object} NormalizedWorkflow
+ * @property {Object} workflow  In the stageRequests import format the narration reads.
+ * @property {string} format    Detected format, one of {@link WORKFLOW_FORMATS}.
+ * @property {string[]} unrecognizedFields Field paths the narration does not read and
+ *   therefore leaves out, e.g. "stages[].tasks[].checklistId".
+ */
+
+/**
+ * Detects the shape of a workflow JSON and maps it onto the stageRequests
+ * import format: API detail responses (`stages` / `tasks` / `parameters` /
+ * `automations`, optionally inside a `{ data }` envelope) and legacy exports
+ * (task `activities`). Import-format workflows are returned as they are.
+ *
+ * @param {Object} raw Parsed workflow JSON.
+ * @returns {NormalizedWorkflow}
+ * @throws {Error} When the JSON matches none of the known formats.
+ */
+export const normalizeWorkflow = (raw) => {
+  const format = detectWorkflowFormat(raw);
+  if (!format) {
+    throw new Error(
+      "Unrecognized workflow format: expected stageRequests (import), stages (API detail) or task activities (legacy export)"
+    );
+  }
+  const wf = unwrap(raw);
+  const shape = SHAPES[format];
+  return {
+    workflow: format === WORKFLOW_FORMATS.REQUEST ? wf : toRequestFormat(wf, shape),
+    format,
+    unrecognizedFields: findUnrecognized(wf, shape),
+  };
+};
@@ -0,0 +1,82 @@
+import { describe, expect, it } from "vitest";
+import { detectWorkflowFormat, normalizeWorkflow, WORKFLOW_FORMATS } from "./normalizeWorkflow.js";
+
+const detail = {
+  data: {
+    name: "Line Clearance",
+    parameters: [
+      { id: "c1", label: "Batch No", type: "SINGLE_LINE" },
+      { id: "p1", label: "Area clean", type: "YES_NO" },
+    ],
+    stages: [
+      {
+        id: "s1",
+        name: "Preparation",
+        tasks: [
+          {
+            id: "t1",
+            name: "Inspect",
+            colour: "red",
+            parameters: [{ id: "p1", label: "Area clean", type: "YES_NO" }],
+            automations: [{ displayName: "Archive", triggerType: "TASK_COMPLETED" }],
+          },
+        ],
+      },
+    ],
+  },
+};
+
+describe("normalizeWorkflow", () => {
+  it("maps an API detail response onto the import format", () => {
+    const { workflow, format } = normalizeWorkflow(detail);
+    expect(format).toBe(WORKFLOW_FORMATS.DETAIL);
+    expect(workflow.parameterRequests.map((param) => param.id)).toEqual(["c1"]);
+    const [task] = workflow.stageRequests[0].taskRequests;
+    expect(task.parameterRequests.map((param) => param.id)).toEqual(["p1"]);
+    expect(task.automationRequests.map((auto) => auto.displayName)).toEqual(["Archive"]);
+  });
+
+  it("reports only the fields the narration does not read", () => {
+    expect(normalizeWorkflow(detail).unrecognizedFields).toEqual(["stages[].tasks[].colour"]);
+  });
+
+  it("maps a legacy export's task activities onto parameterRequests", () => {
+    const legacy = {
+      name: "Line Clearance",
+      stages: [
+        {
+          id: "s1",
+          name: "Preparation",
+          tasks: [
+            {
+              id: "t1",
+              name: "Inspect",
+              activities: [{ id: "a1", label: "Area clean", type: "YES_NO" }],
+            },
+          ],
+        },
+      ],
+    };
+    const { workflow, format, unrecognizedFields } = normalizeWorkflow(legacy);
+    expect(format).toBe(WORKFLOW_FORMATS.LEGACY);
+    const [task] = workflow.stageRequests[0].taskRequests;
+    expect(task).not.toHaveProperty("activities");
+    expect(task.parameterRequests.map((param) => param.label)).toEqual(["Area clean"]);
+    expect(task.automationRequests).toEqual([]);
+    expect(unrecognizedFields).toEqual([]);
+  });
+
+  it("returns an import-format workflow as it is", () => {
+    const wf = { name: "Line Clearance", stageRequests: [] };
+    expect(normalizeWorkflow(wf)).toEqual({
+      workflow: wf,
+      format: WORKFLOW_FORMATS.REQUEST,
+      unrecognizedFields: [],
+    });
+  });
+
+  it("rejects a shape it does not know", () => {
+    expect(detectWorkflowFormat({ name: "Line Clearance", steps: [] })).toBeNull();
+    expect(() => normalizeWorkflow({ steps: [] })).toThrow(/Unrecognized workflow format/);
+  });
+});
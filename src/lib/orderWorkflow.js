@@ -0,0 +1,49 @@
+/**
+ * Exports do not always list stages, tasks and parameters in the order the
+ * workflow runs in; `orderTree` holds that order. The narration, the DOCX and
+ * the dependency graph follow the order of the arrays, so workflows are sorted
+ * here first.
+ */
+
+// -------------------- HELPER: Sort key, items without a numeric orderTree go last --------------------
+const orderKey = (item) => {
+  const order = item?.orderTree;
+  return order !== null && order !== "" && Number.isFinite(Number(order))
+    ? Number(order)
+    : Infinity;
+};
+
+/**
+ * Items sorted by `orderTree`. The sort is stable: items with the same
+ * orderTree, or without one, keep their source order.
+ *
+ * @param {Object[]} [items]
+ * @returns {Object[]} A new array.
+ */
+export const sortByOrderTree = (items) =>
+  (Array.isArray(items) ? items : [])
+    .map((item, idx) => ({ item, idx, key: orderKey(item) }))
+    // Infinity - Infinity is NaN, which falls through to the source position
+    .sort((a, b) => a.key - b.key || a.idx - b.idx)
+    .map(({ item }) => item);
+
+/**
+ * Copy of a workflow (import format) with its stages, tasks and parameters
+ * sorted by `orderTree`. The Create Job Form parameters are the workflow's own
+ * `parameterRequests` and are sorted among themselves; they stay a section of
+ * their own, ahead of the stages. Parameter objects are shared with the source.
+ *
+ * @param {Object} wf Workflow JSON in the stageRequests import format.
+ * @returns {Object}
+ */
+export const orderWorkflow = (wf) => ({
+  ...wf,
+  parameterRequests: sortByOrderTree(wf.parameterRequests),
+  stageRequests: sortByOrderTree(wf.stageRequests).map((stage) => ({
+    ...stage,
+    taskRequests: sortByOrderTree(stage.taskRequests).map((task) => ({
+      ...task,
+      parameterRequests: sortByOrderTree(task.parameterRequests),
+    })),
+  })),
+});
@@ -0,0 +1,61 @@
+import { describe, expect, it } from "vitest";
+import { orderWorkflow, sortByOrderTree } from "./orderWorkflow.js";
+
+const ids = (items) => items.map((item) => item.id);
+
+describe("sortByOrderTree", () => {
+  it("sorts by numeric orderTree and keeps ties and missing values in source order", () => {
+    const items = [
+      { id: "c", orderTree: 3 },
+      { id: "none" },
+      { id: "a", orderTree: "1" },
+      { id: "b1", orderTree: 2 },
+      { id: "blank", orderTree: "" },
+      { id: "b2", orderTree: 2 },
+    ];
+    expect(ids(sortByOrderTree(items))).toEqual(["a", "b1", "b2", "c", "none", "blank"]);
+  });
+
+  it("copies the array and accepts a missing one", () => {
+    const items = [
+      { id: "b", orderTree: 2 },
+      { id: "a", orderTree: 1 },
+    ];
+    sortByOrderTree(items);
+    expect(ids(items)).toEqual(["b", "a"]);
+    expect(sortByOrderTree(undefined)).toEqual([]);
+  });
+});
+
+describe("orderWorkflow", () => {
+  it("sorts stages, tasks, parameters and the Create Job Form each on their own", () => {
+    const ordered = orderWorkflow({
+      parameterRequests: [
+        { id: "c2", orderTree: 2 },
+        { id: "c1", orderTree: 1 },
+      ],
+      stageRequests: [
+        { id: "s2", orderTree: 2, taskRequests: [] },
+        {
+          id: "s1",
+          orderTree: 1,
+          taskRequests: [
+            {
+              id: "t2",
+              orderTree: 2,
+              parameterRequests: [
+                { id: "p2", orderTree: 2 },
+                { id: "p1", orderTree: 1 },
+              ],
+            },
+            { id: "t1", orderTree: 1, parameterRequests: [] },
+          ],
+        },
+      ],
+    });
+    expect(ids(ordered.parameterRequests)).toEqual(["c1", "c2"]);
+    expect(ids(ordered.stageRequests)).toEqual(["s1", "s2"]);
+    expect(ids(ordered.stageRequests[0].taskRequests)).toEqual(["t1", "t2"]);
+    expect(ids(ordered.stageRequests[0].taskRequests[1].parameterRequests)).toEqual(["p1", "p2"]);
+  });
+});
@@ -0,0 +1,181 @@
+import Papa from "papaparse";
+import * as XLSX from "xlsx";
+import { ROW_KEY_COLUMN } from "./convertWorkflow.js";
+import { normalizeTemplate, DEFAULT_TEMPLATE } from "./columnTemplates.js";
+import { CSV_DELIMITER } from "./exporters.js";
+
+// Columns reviewers fill in or confirm by hand; their values are carried over from the review
+export const REVIEWER_COLUMNS = [
+  "Configuration Feasibility",
+  "Configuration Feasibility Notes",
+  "Configuration Status",
+  "IS SELF VERIFICATION PRESENT?",
+  "Tester Comments",
+  "IS PEER VERIFICATION PRESENT?",
+  "Tester Comments (B)",
+];
+
+// Reviewer columns makeRow derives from the workflow: the reviewed value is kept,
+// but a workflow that now says otherwise flags the row as changed
+const DERIVED_REVIEWER_COLUMNS = ["IS SELF VERIFICATION PRESENT?", "IS PEER VERIFICATION PRESENT?"];
+
+export const REVIEW_FLAG_COLUMN = "Review Flag";
+
+export const REVIEW_FLAGS = {
+  UNCHANGED: "Unchanged",
+  CHANGED: "Changed since review",
+  NEW: "New since review",
+  REMOVED: "Removed since review",
+};
+
+// Columns that say where a row sits rather than what it narrates
+const LOCATION_COLUMNS = ["Workflow Name", "Source File", ROW_KEY_COLUMN, REVIEW_FLAG_COLUMN];
+// Sheets the XLSX exports add next to the narration
+const NON_NARRATION_SHEETS = ["index", "issues"];
+
+/**
+ * Reads a previously exported CSV or XLSX back into narration rows. Headers
+ * renamed by a column template are mapped back to the narration column names;
+ * for sheet-per-workflow workbooks every workflow sheet is read.
+ *
+ * @param {string} fileName Used to tell CSV from XLSX.
+ * @param {string|ArrayBuffer|Uint8Array|Blob} data File contents.
+ * @param {import("./columnTemplates.js").ColumnTemplate} [template] Template the file was exported with.
+ * @returns {Promise<Object[]>}
+ * @throws {Error} When the file cannot be parsed or holds no narration rows.
+ */
+export const readReviewedRows = async (fileName, data, template = DEFAULT_TEMPLATE) => {
+  const bytes = typeof data?.arrayBuffer === "function" ? await data.arrayBuffer() : data;
+  let rawRows;
+  try {
+    if (/\.csv$/i.test(fileName)) {
+      const text = typeof bytes === "string" ? bytes : new TextDecoder().decode(bytes);
+      const parsed = Papa.parse(text.replace(/^\uFEFF/, ""), {
+        header: true,
+        skipEmptyLines: true,
+        delimitersToGuess: [CSV_DELIMITER, ",", "\t"],
+      });
+      rawRows = parsed.data;
+    } else {
+      const wb = XLSX.read(bytes, { type: typeof bytes === "string" ? "binary" : "array" });
+      rawRows = wb.SheetNames.filter((name) => !NON_NARRATION_SHEETS.includes(name.toLowerCase())).flatMap(
+        (name) => XLSX.utils.sheet_to_json(wb.Sheets[name], { defval: "", raw: false })
+      );
+    }
+  } catch (err) {
+    throw new Error(`${fileName}: ${err.message}`);
+  }
+
+  // Template label (or the original column name) -> narration column
+  const headerMap = {};
+  normalizeTemplate(template).columns.forEach((col) => {
+    headerMap[col.key] = col.key;
+    headerMap[col.label] = col.key;
+  });
+  const rows = rawRows.map((raw) =>
+    Object.fromEntries(
+      Object.entries(raw)
+        .filter(([header]) => headerMap[header.trim()])
+        .map(([header, value]) => [headerMap[header.trim()], String(value ?? "")])
+    )
+  );
+  if (!rows.some((row) => REVIEWER_COLUMNS.some((col) => col in row))) {
+    throw new Error(`${fileName}: no reviewer columns found (${REVIEWER_COLUMNS.join(", ")})`);
+  }
+  return rows;
+};
+
+// -------------------- HELPER: Fallback key for files exported without Row Key --------------------
+const labelKey = (row) =>
+  ["Workflow Name", "Stage Name", "Activity Name", "Instruction Title"]
+    .map((col) => row[col] ?? "")
+    .join("\u0000");
+
+/**
+ * Result of merging reviewed rows onto a fresh extraction.
+ *
+ * @typedef {Object} ReviewMerge
+ * @property {import("./convertWorkflow.js").WorkflowGroup[]} groups Groups with merged rows.
+ * @property {{ Unchanged: number, "Changed since review": number,
+ *   "New since review": number, "Removed since review": number }} summary
+ */
+
+/**
+ * Carries the reviewer columns of a previously exported spreadsheet over to
+ * freshly converted workflows. Rows are matched by Row Key (falling back to
+ * workflow, stage, task and parameter names for older exports) and get a
+ * "Review Flag": unchanged, changed (with the narration columns that differ),
+ * or new. Reviewed verification values are kept even when the workflow now
+ * derives another one; the row is then flagged as changed. Reviewed rows whose parameter no longer exists are kept, flagged as
+ * removed, at the end of their workflow so no reviewer input is lost.
+ *
+ * @param {import("./convertWorkflow.js").WorkflowGroup[]} groups
+ * @param {Object[]} reviewedRows From {@link readReviewedRows}.
+ * @returns {ReviewMerge}
+ */
+export const mergeReviewedRows = (groups, reviewedRows) => {
+  const summary = Object.fromEntries(Object.values(REVIEW_FLAGS).map((flag) => [flag, 0]));
+  const byKey = new Map();
+  const byLabel = new Map();
+  reviewedRows.forEach((row) => {
+    const key = row[ROW_KEY_COLUMN] ? byKey : byLabel;
+    const id = row[ROW_KEY_COLUMN] || labelKey(row);
+    if (!key.has(id)) key.set(id, []);
+    key.get(id).push(row);
+  });
+
+  // Same key in several workflows: prefer the reviewed row of the same workflow
+  const take = (index, id, workflowName) => {
+    const candidates = index.get(id);
+    if (!candidates?.length) return null;
+    const idx = Math.max(0, candidates.findIndex((row) => row["Workflow Name"] === workflowName));
+    return candidates.splice(idx, 1)[0];
+  };
+
+  const merged = groups.map((group) => ({
+    ...group,
+    rows: group.rows.map((row) => {
+      const reviewed =
+        take(byKey, row[ROW_KEY_COLUMN], group.workflowName) ||
+        take(byLabel, labelKey(row), group.workflowName);
+      if (!reviewed) {
+        summary[REVIEW_FLAGS.NEW] += 1;
+        return { ...row, [REVIEW_FLAG_COLUMN]: REVIEW_FLAGS.NEW };
+      }
+
+      const changed = Object.keys(row).filter(
+        (col) =>
+          !LOCATION_COLUMNS.includes(col) &&
+          (!REVIEWER_COLUMNS.includes(col) || DERIVED_REVIEWER_COLUMNS.includes(col)) &&
+          col in reviewed &&
+          reviewed[col] !== String(row[col] ?? "")
+      );
+      const carried = Object.fromEntries(
+        REVIEWER_COLUMNS.filter((col) => col in reviewed).map((col) => [col, reviewed[col]])
+      );
+      const flag = changed.length ? REVIEW_FLAGS.CHANGED : REVIEW_FLAGS.UNCHANGED;
+      summary[flag] += 1;
+      return {
+        ...row,
+        ...carried,
+        [REVIEW_FLAG_COLUMN]: changed.length ? `${flag}: ${changed.join(", ")}` : flag,
+      };
+    }),
+  }));
+
+  // -------------------- LEFTOVER REVIEWED ROWS --------------------
+  const leftovers = [...byKey.values(), ...byLabel.values()].flat();
+  leftovers.forEach((reviewed) => {
+    summary[REVIEW_FLAGS.REMOVED] += 1;
+    const target =
+      merged.find((group) => group.workflowName === reviewed["Workflow Name"]) || merged[merged.length - 1];
+    if (!target) return;
+    target.rows.push({
+      ...Object.fromEntries(Object.keys(target.rows[0] || reviewed).map((col) => [col, ""])),
+      ...reviewed,
+      [REVIEW_FLAG_COLUMN]: REVIEW_FLAGS.REMOVED,
+    });
+  });
+
+  return { groups: merged, summary };
+};
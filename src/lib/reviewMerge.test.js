@@ -0,0 +1,70 @@
+import { describe, expect, it } from "vitest";
+import { convertWorkflowGroups } from "./convertWorkflow.js";
+import { mergeReviewedRows, REVIEW_FLAG_COLUMN, REVIEW_FLAGS } from "./reviewMerge.js";
+
+const makeGroups = (param) =>
+  convertWorkflowGroups([
+    {
+      fileName: "wf.json",
+      workflow: {
+        name: "Line Clearance",
+        stageRequests: [
+          {
+            id: "s1",
+            name: "Preparation",
+            taskRequests: [{ id: "t1", name: "Inspect", parameterRequests: [param] }],
+          },
+        ],
+      },
+    },
+  ]);
+
+const clean = { id: "p1", label: "Area clean", type: "YES_NO" };
+
+// A row as it comes back from an exported spreadsheet: every value a string
+const reviewedCopy = (row, edits) =>
+  Object.fromEntries(
+    Object.entries({ ...row, ...edits }).map(([col, value]) => [col, String(value ?? "")])
+  );
+
+describe("mergeReviewedRows", () => {
+  it("carries reviewer notes over to an unchanged row", () => {
+    const [row] = makeGroups(clean)[0].rows;
+    const reviewed = reviewedCopy(row, {
+      "Configuration Status": "Not configured",
+      "Tester Comments": "Checked on line 2",
+    });
+    const { groups, summary } = mergeReviewedRows(makeGroups(clean), [reviewed]);
+    expect(groups[0].rows[0]).toMatchObject({
+      "Configuration Status": "Not configured",
+      "Tester Comments": "Checked on line 2",
+      [REVIEW_FLAG_COLUMN]: REVIEW_FLAGS.UNCHANGED,
+    });
+    expect(summary[REVIEW_FLAGS.UNCHANGED]).toBe(1);
+  });
+
+  it("keeps the reviewed verification when the workflow disagrees and flags the row", () => {
+    const [row] = makeGroups(clean)[0].rows;
+    const reviewed = reviewedCopy(row, { "Tester Comments": "OK" });
+    const fresh = makeGroups({ ...clean, verificationType: "SELF" });
+    const { groups, summary } = mergeReviewedRows(fresh, [reviewed]);
+    expect(groups[0].rows[0]).toMatchObject({
+      "IS SELF VERIFICATION PRESENT?": "Disabled",
+      "Tester Comments": "OK",
+      [REVIEW_FLAG_COLUMN]: expect.stringContaining("IS SELF VERIFICATION PRESENT?"),
+    });
+    expect(groups[0].rows[0][REVIEW_FLAG_COLUMN]).toMatch(new RegExp(`^${REVIEW_FLAGS.CHANGED}`));
+    expect(summary[REVIEW_FLAGS.CHANGED]).toBe(1);
+  });
+
+  it("keeps reviewed rows whose parameter is gone, flagged as removed", () => {
+    const [row] = makeGroups(clean)[0].rows;
+    const other = makeGroups({ id: "p2", label: "Line cleared", type: "YES_NO" });
+    const { groups, summary } = mergeReviewedRows(other, [reviewedCopy(row)]);
+    expect(groups[0].rows.map((r) => r[REVIEW_FLAG_COLUMN])).toEqual([
+      REVIEW_FLAGS.NEW,
+      REVIEW_FLAGS.REMOVED,
+    ]);
+    expect(summary[REVIEW_FLAGS.REMOVED]).toBe(1);
+  });
+});
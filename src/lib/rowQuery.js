@@ -0,0 +1,121 @@
+// Special per-column filter values; any other value must match the cell exactly
+export const FILTER_HAS_VALUE = "__has_value__";
+export const FILTER_EMPTY = "__empty__";
+
+export const SORT_DIRECTIONS = { ASC: "asc", DESC: "desc" };
+
+/**
+ * Search, filter and sort settings for narration rows.
+ *
+ * @typedef {Object} RowQuery
+ * @property {string} [search] Case-insensitive text matched against every column.
+ * @property {Object<string, string>} [filters] Column -> exact value, {@link FILTER_HAS_VALUE}
+ *   or {@link FILTER_EMPTY}. Empty values are ignored.
+ * @property {{ column: string, direction: "asc"|"desc" }|null} [sort]
+ */
+
+export const EMPTY_QUERY = { search: "", filters: {}, sort: null };
+
+/**
+ * True when a cell holds real narration, not a blank or an "N/A" placeholder.
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+export const hasValue = (value) => {
+  const text = value == null ? "" : String(value).trim();
+  return text !== "" && text !== "N/A";
+};
+
+/**
+ * True when the query would change the rows (anything searched, filtered or sorted).
+ *
+ * @param {RowQuery} query
+ * @returns {boolean}
+ */
+export const isQueryActive = (query) =>
+  Boolean(query.search?.trim() || Object.values(query.filters || {}).some(Boolean) || query.sort);
+
+const matchesFilter = (value, filter) =>
+  filter === FILTER_HAS_VALUE
+    ? hasValue(value)
+    : filter === FILTER_EMPTY
+    ? !hasValue(value)
+    : String(value ?? "") === filter;
+
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: "base" });
+
+/**
+ * Applies a search / filter / sort query to narration rows. Rows are not
+ * modified; sorting is stable, so equal values keep their workflow order.
+ *
+ * @param {Object[]} rows
+ * @param {RowQuery} [query]
+ * @param {string[]} [searchColumns] Limits the text search to these columns (default: all).
+ * @returns {Object[]}
+ */
+export const queryRows = (rows, query = EMPTY_QUERY, searchColumns = null) => {
+  const search = query.search?.trim().toLowerCase() || "";
+  const filters = Object.entries(query.filters || {}).filter(([, filter]) => filter);
+  const matchesSearch = (row) =>
+    (searchColumns ? searchColumns.map((col) => row[col]) : Object.values(row)).some((value) =>
+      String(value ?? "").toLowerCase().includes(search)
+    );
+
+  const result = rows.filter(
+    (row) =>
+      filters.every(([column, filter]) => matchesFilter(row[column], filter)) &&
+      (!search || matchesSearch(row))
+  );
+
+  if (query.sort?.column) {
+    const { column, direction } = query.sort;
+    const sign = direction === SORT_DIRECTIONS.DESC ? -1 : 1;
+    // Empty cells always sort last
+    result.sort((a, b) => {
+      const aHas = hasValue(a[column]);
+      const bHas = hasValue(b[column]);
+      if (aHas !== bHas) return aHas ? -1 : 1;
+      return sign * collator.compare(String(a[column] ?? ""), String(b[column] ?? ""));
+    });
+  }
+  return result;
+};
+
+const MAX_FILTER_VALUE_LENGTH = 80;
+
+/**
+ * Distinct values of a column, for a per-column filter picker. Returns an
+ * empty list for free-text columns (more than `maxValues` distinct values, or
+ * multi-line / long narration), where only has-value / empty filters help.
+ *
+ * @param {Object[]} rows
+ * @param {string} column
+ * @param {number} [maxValues]
+ * @returns {string[]}
+ */
+export const columnFilterValues = (rows, column, maxValues = 30) => {
+  const values = new Set();
+  for (const row of rows) {
+    if (!hasValue(row[column])) continue;
+    const value = String(row[column]);
+    if (value.includes("\n") || value.length > MAX_FILTER_VALUE_LENGTH) return [];
+    values.add(value);
+    if (values.size > maxValues) return [];
+  }
+  return [...values].sort(collator.compare);
+};
+
+/**
+ * Next sort state when a column header is clicked: ascending, descending, off.
+ *
+ * @param {RowQuery["sort"]} sort
+ * @param {string} column
+ * @returns {RowQuery["sort"]}
+ */
+export const toggleSort = (sort, column) =>
+  sort?.column !== column
+    ? { column, direction: SORT_DIRECTIONS.ASC }
+    : sort.direction === SORT_DIRECTIONS.ASC
+    ? { column, direction: SORT_DIRECTIONS.DESC }
+    : null;
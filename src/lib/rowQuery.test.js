@@ -0,0 +1,80 @@
+import { describe, expect, it } from "vitest";
+import {
+  columnFilterValues,
+  FILTER_EMPTY,
+  FILTER_HAS_VALUE,
+  isQueryActive,
+  queryRows,
+  toggleSort,
+} from "./rowQuery.js";
+
+const rows = [
+  { "Activity Name": "Weigh 10", "Field Type": "Mandatory", Dependencies: "N/A" },
+  { "Activity Name": "Weigh 2", "Field Type": "Optional", Dependencies: "Task 1.1: Charge" },
+  { "Activity Name": "charge", "Field Type": "Mandatory", Dependencies: "" },
+];
+const names = (result) => result.map((row) => row["Activity Name"]);
+
+describe("queryRows", () => {
+  it("searches every column, ignoring case", () => {
+    expect(names(queryRows(rows, { search: "  CHARGE " }))).toEqual(["Weigh 2", "charge"]);
+  });
+
+  it("filters by exact value, has-value and empty", () => {
+    expect(names(queryRows(rows, { filters: { "Field Type": "Mandatory" } }))).toEqual([
+      "Weigh 10",
+      "charge",
+    ]);
+    expect(names(queryRows(rows, { filters: { Dependencies: FILTER_HAS_VALUE } }))).toEqual([
+      "Weigh 2",
+    ]);
+    expect(names(queryRows(rows, { filters: { Dependencies: FILTER_EMPTY } }))).toEqual([
+      "Weigh 10",
+      "charge",
+    ]);
+  });
+
+  it("sorts numbers in text naturally and empty cells last in both directions", () => {
+    const asc = { sort: { column: "Activity Name", direction: "asc" } };
+    expect(names(queryRows(rows, asc))).toEqual(["charge", "Weigh 2", "Weigh 10"]);
+    const byDeps = { sort: { column: "Dependencies", direction: "desc" } };
+    expect(names(queryRows(rows, byDeps))).toEqual(["Weigh 2", "Weigh 10", "charge"]);
+  });
+
+  it("leaves the rows it was given untouched", () => {
+    const copy = [...rows];
+    queryRows(rows, { sort: { column: "Activity Name", direction: "desc" } });
+    expect(rows).toEqual(copy);
+  });
+});
+
+describe("query state", () => {
+  it("cycles a column's sort through ascending, descending and off", () => {
+    const asc = toggleSort(null, "Stage Name");
+    const desc = toggleSort(asc, "Stage Name");
+    expect([asc, desc, toggleSort(desc, "Stage Name")]).toEqual([
+      { column: "Stage Name", direction: "asc" },
+      { column: "Stage Name", direction: "desc" },
+      null,
+    ]);
+    expect(toggleSort(desc, "Activity Name")).toEqual({
+      column: "Activity Name",
+      direction: "asc",
+    });
+  });
+
+  it("is active only when something is searched, filtered or sorted", () => {
+    expect(isQueryActive({ search: " ", filters: { "Field Type": "" }, sort: null })).toBe(false);
+    expect(isQueryActive({ search: "", filters: { "Field Type": "Optional" }, sort: null })).toBe(
+      true
+    );
+  });
+
+  it("offers distinct values only for short single-line columns", () => {
+    expect(columnFilterValues(rows, "Field Type")).toEqual(["Mandatory", "Optional"]);
+    expect(columnFilterValues([{ Branching: "Visible when\nMode is Auto" }], "Branching")).toEqual(
+      []
+    );
+    expect(columnFilterValues(rows, "Activity Name", 2)).toEqual([]);
+  });
+});
@@ -0,0 +1,79 @@
+import { getRowKey } from "./convertWorkflow.js";
+
+export const EDGE_KINDS = {
+  PREREQUISITE: "prerequisite",
+  SAME_EXECUTOR: "sameExecutor",
+  DIFFERENT_EXECUTOR: "differentExecutor",
+};
+
+/**
+ * @typedef {Object} TaskNode
+ * @property {string} id        Task id as a string.
+ * @property {string} name      Task name ("Activity Name" in the rows).
+ * @property {string} stageName Stage name ("Stage Name" in the rows).
+ * @property {string} ref       "Task 2.3"-style reference, as printed in Dependencies.
+ * @property {string} rowKey    Row Key of the task; its parameter rows' keys start with it.
+ */
+
+/**
+ * @typedef {Object} TaskGraph
+ * @property {{ id: string, name: string, ref: string, tasks: TaskNode[] }[]} lanes One per stage.
+ * @property {{ from: string, to: string, kind: string }[]} edges
+ *   Prerequisite edges run from the prerequisite to the dependent task;
+ *   executor-lock edges run from the locked task to the referenced task.
+ */
+
+/**
+ * Builds the task dependency graph of a workflow: stages become swimlanes,
+ * tasks become nodes, and prerequisites and executor locks become edges.
+ * References to tasks that do not exist in the workflow are left out.
+ *
+ * @param {Object} wf Workflow JSON in the stageRequests import format.
+ * @returns {TaskGraph}
+ */
+export const buildTaskGraph = (wf) => {
+  const nodeIds = new Set();
+
+  // Same numbering as getDependenciesText: orderTree, falling back to position
+  const lanes = (wf.stageRequests || []).map((stage, stageIdx) => {
+    const stageOrder = stage.orderTree ?? stageIdx + 1;
+    return {
+      id: String(stage.id ?? `stage-${stageIdx}`),
+      name: stage.name,
+      ref: `Stage ${stageOrder}`,
+      tasks: (stage.taskRequests || []).map((task, taskIdx) => {
+        nodeIds.add(String(task.id));
+        return {
+          id: String(task.id),
+          name: task.name,
+          stageName: stage.name,
+          ref: `Task ${stageOrder}.${task.orderTree ?? taskIdx + 1}`,
+          rowKey: getRowKey(stage, task, null),
+        };
+      }),
+    };
+  });
+
+  const edges = [];
+  const addEdge = (from, to, kind) => {
+    if (nodeIds.has(String(from)) && nodeIds.has(String(to))) {
+      edges.push({ from: String(from), to: String(to), kind });
+    }
+  };
+
+  wf.stageRequests?.forEach((stage) =>
+    stage.taskRequests?.forEach((task) => {
+      task.prerequisiteTaskIds?.forEach((prereqId) =>
+        addEdge(prereqId, task.id, EDGE_KINDS.PREREQUISITE)
+      );
+      const lock = task.taskExecutorLock;
+      if (lock?.hasToBeExecutorId)
+        addEdge(task.id, lock.hasToBeExecutorId, EDGE_KINDS.SAME_EXECUTOR);
+      lock?.cannotBeExecutorIds?.forEach((otherId) =>
+        addEdge(task.id, otherId, EDGE_KINDS.DIFFERENT_EXECUTOR)
+      );
+    })
+  );
+
+  return { lanes, edges };
+};
@@ -0,0 +1,36 @@
+import { describe, expect, it } from "vitest";
+import { buildTaskGraph } from "./taskGraph.js";
+import { convertWorkflow, ROW_KEY_COLUMN } from "./convertWorkflow.js";
+
+const workflow = {
+  stageRequests: [
+    {
+      id: "s1",
+      name: "Cleaning",
+      taskRequests: [
+        {
+          id: "t1",
+          name: "Wipe",
+          parameterRequests: [{ id: "p1", label: "Done", type: "YES_NO" }],
+        },
+        {
+          id: "t2",
+          name: "Wipe",
+          parameterRequests: [{ id: "p2", label: "Done", type: "YES_NO" }],
+        },
+      ],
+    },
+  ],
+};
+
+describe("buildTaskGraph", () => {
+  it("gives same-named tasks their own Row Key", () => {
+    const [lane] = buildTaskGraph(workflow).lanes;
+    const rows = convertWorkflow(workflow);
+    lane.tasks.forEach((task) => {
+      const matched = rows.filter((row) => row[ROW_KEY_COLUMN].startsWith(`${task.rowKey}:`));
+      expect(matched).toHaveLength(1);
+    });
+    expect(lane.tasks.map((task) => task.rowKey)).toEqual(["s1:t1", "s1:t2"]);
+  });
+});
@@ -0,0 +1,184 @@
+import { formatKey } from "./formatters.js";
+
+/**
+ * Task-level configuration besides prerequisites, executor locks and
+ * automations: timers, scheduling, recurrence, attached media and the
+ * solo / pause settings, worded for the narration.
+ *
+ * Durations come either as seconds (`minPeriod`, `startDateInterval`, ...) or
+ * as `{ days, hours, minutes, seconds }` objects (`startDateDuration`, ...).
+ */
+
+const DURATION_UNITS = [
+  ["day", 86400],
+  ["hour", 3600],
+  ["minute", 60],
+  ["second", 1],
+];
+
+// -------------------- HELPER: Duration in seconds, from an interval or a duration object --------------------
+const toSeconds = (interval, duration) => {
+  if (interval != null && interval !== "" && Number.isFinite(Number(interval)))
+    return Number(interval);
+  if (!duration || typeof duration !== "object") return null;
+  const seconds = DURATION_UNITS.reduce(
+    (total, [unit, size]) => total + (Number(duration[`${unit}s`] ?? duration[unit]) || 0) * size,
+    0
+  );
+  return seconds || null;
+};
+
+const plural = (count, unit) => `${count} ${unit}${count === 1 ? "" : "s"}`;
+
+/**
+ * Human-readable duration: "1 hour 30 minutes", "45 seconds".
+ *
+ * @param {number} seconds
+ * @returns {string}
+ */
+export const formatDuration = (seconds) => {
+  let rest = Math.round(Math.abs(seconds));
+  if (!rest) return "0 seconds";
+  const parts = [];
+  DURATION_UNITS.forEach(([unit, size]) => {
+    const count = Math.floor(rest / size);
+    rest -= count * size;
+    if (count) parts.push(plural(count, unit));
+  });
+  return parts.join(" ");
+};
+
+// -------------------- HELPER: "between 10 and 30 minutes" when both fit one unit --------------------
+const formatRange = (min, max) => {
+  const unit = DURATION_UNITS.find(([, size]) => min % size === 0 && max % size === 0);
+  return unit
+    ? `between ${min / unit[1]} and ${plural(max / unit[1], unit[0])}`
+    : `between ${formatDuration(min)} and ${formatDuration(max)}`;
+};
+
+// -------------------- HELPER: "Task 1.2: Name" --------------------
+const taskRef = (ctx, taskId) => {
+  const taskInfo = ctx.lookupTask(taskId);
+  return taskInfo
+    ? `Task ${taskInfo.stageOrder}.${taskInfo.taskOrder}: ${taskInfo.taskName}`
+    : `Task ID ${taskId}`;
+};
+
+// -------------------- TIMER --------------------
+// NOT_LESS_THAN: the task cannot be completed before minPeriod (maxPeriod is optional);
+// LESS_THAN: the task has to be completed within maxPeriod
+export const getTimerText = (task) => {
+  const min = toSeconds(task?.minPeriod);
+  const max = toSeconds(task?.maxPeriod);
+  if (!task?.timed && !min && !max) return "N/A";
+
+  const operator = (task.timerOperator || "").toUpperCase();
+  const lines = [];
+  if (operator === "NOT_LESS_THAN") {
+    lines.push("Timer type: Minimum time");
+    if (min && max) lines.push(`Must be completed ${formatRange(min, max)}`);
+    else if (min) lines.push(`Cannot be completed before ${formatDuration(min)}`);
+  } else {
+    lines.push(
+      operator === "LESS_THAN"
+        ? "Timer type: Maximum time"
+        : `Timer type: ${formatKey(operator) || "Timed"}`
+    );
+    if (max) lines.push(`Must be completed within ${formatDuration(max)}`);
+    if (min) lines.push(`Cannot be completed before ${formatDuration(min)}`);
+  }
+  return lines.join("\n");
+};
+
+// -------------------- SCHEDULING & RECURRENCE --------------------
+const getScheduleLines = (ctx, schedule) => {
+  const start = toSeconds(schedule.startDateInterval, schedule.startDateDuration);
+  const due = toSeconds(schedule.dueDateInterval, schedule.dueDateDuration);
+  const condition = (schedule.condition || "").toUpperCase();
+  const afterTask = (schedule.type || "").toUpperCase() === "TASK" && schedule.referencedTaskId;
+  // A task reference is completed by default, the job starts by default
+  const event = afterTask
+    ? `${taskRef(ctx, schedule.referencedTaskId)} ${condition === "START" ? "starts" : "is done"}`
+    : `the job ${condition === "COMPLETE" ? "is done" : "starts"}`;
+
+  const lines = [
+    start
+      ? `Scheduled to start ${formatDuration(start)} after ${event}`
+      : `Scheduled to start when ${event}`,
+  ];
+  if (due) lines.push(`Due ${formatDuration(due)} after the scheduled start`);
+  return lines;
+};
+
+// -------------------- HELPER: "5 minutes early to 10 minutes late" --------------------
+const getToleranceText = (early, late) => {
+  if (!early && !late) return "";
+  return [early && `${formatDuration(early)} early`, late && `${formatDuration(late)} late`]
+    .filter(Boolean)
+    .join(" to ");
+};
+
+const getRecurrenceLines = (recurrence) => {
+  const every = toSeconds(recurrence.startDateInterval, recurrence.startDateDuration);
+  const due = toSeconds(recurrence.dueDateInterval, recurrence.dueDateDuration);
+  const startTolerance = getToleranceText(
+    toSeconds(
+      recurrence.negativeStartDateToleranceInterval,
+      recurrence.negativeStartDateToleranceDuration
+    ),
+    toSeconds(
+      recurrence.positiveStartDateToleranceInterval,
+      recurrence.positiveStartDateToleranceDuration
+    )
+  );
+  const dueTolerance = getToleranceText(
+    toSeconds(
+      recurrence.negativeDueDateToleranceInterval,
+      recurrence.negativeDueDateToleranceDuration
+    ),
+    toSeconds(
+      recurrence.positiveDueDateToleranceInterval,
+      recurrence.positiveDueDateToleranceDuration
+    )
+  );
+
+  const lines = [every ? `Recurs every ${formatDuration(every)}` : "Recurs after each completion"];
+  if (due) lines.push(`Each occurrence is due ${formatDuration(due)} after it starts`);
+  if (startTolerance) lines.push(`Start tolerance: ${startTolerance}`);
+  if (dueTolerance) lines.push(`Due tolerance: ${dueTolerance}`);
+  return lines;
+};
+
+export const getSchedulingText = (ctx, task) => {
+  const schedule = task?.taskSchedules;
+  const recurrence = task?.taskRecurrence;
+  const lines = [];
+  if (task?.enableScheduling && schedule) lines.push(...getScheduleLines(ctx, schedule));
+  if (task?.enableRecurrence && recurrence) lines.push(...getRecurrenceLines(recurrence));
+  return lines.length ? lines.join("\n") : "N/A";
+};
+
+// -------------------- MEDIA --------------------
+export const getMediaText = (task) => {
+  const medias = Array.isArray(task?.medias) ? task.medias : [];
+  const lines = medias
+    .map((media) => {
+      const name = media?.name || media?.originalFilename || media?.filename || media?.link;
+      if (!name) return "";
+      const kind =
+        typeof media.type === "string" && media.type
+          ? ` (${media.type.split("/").pop().toUpperCase()})`
+          : "";
+      return `• ${name}${kind}${media.description ? ` – ${media.description}` : ""}`;
+    })
+    .filter(Boolean);
+  return lines.length ? `Attached media:\n${lines.join("\n")}` : "N/A";
+};
+
+// -------------------- TASK SETTINGS --------------------
+export const getTaskSettingsText = (task) => {
+  const lines = [];
+  if (task?.isSoloTask) lines.push("Solo task: only one user can work on it at a time");
+  if (task?.hasStop) lines.push("Can be paused and resumed");
+  return lines.length ? lines.join("\n") : "N/A";
+};
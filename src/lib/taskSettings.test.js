@@ -0,0 +1,122 @@
+import { describe, expect, it } from "vitest";
+import {
+  formatDuration,
+  getMediaText,
+  getSchedulingText,
+  getTaskSettingsText,
+  getTimerText,
+} from "./taskSettings.js";
+import { buildWorkflowContext } from "./workflowContext.js";
+
+const ctx = buildWorkflowContext({
+  stageRequests: [
+    {
+      id: "s1",
+      name: "Mixing",
+      taskRequests: [
+        { id: "t1", name: "Charge", parameterRequests: [] },
+        { id: "t2", name: "Mix", parameterRequests: [] },
+      ],
+    },
+  ],
+});
+
+describe("formatDuration", () => {
+  it("spells out each unit", () => {
+    expect(formatDuration(5400)).toBe("1 hour 30 minutes");
+    expect(formatDuration(90061)).toBe("1 day 1 hour 1 minute 1 second");
+    expect(formatDuration(0)).toBe("0 seconds");
+  });
+});
+
+describe("getTimerText", () => {
+  it("words minimum and maximum timers", () => {
+    expect(getTimerText({ timed: true, timerOperator: "LESS_THAN", maxPeriod: 1800 })).toBe(
+      "Timer type: Maximum time\nMust be completed within 30 minutes"
+    );
+    expect(getTimerText({ timed: true, timerOperator: "NOT_LESS_THAN", minPeriod: 600 })).toBe(
+      "Timer type: Minimum time\nCannot be completed before 10 minutes"
+    );
+  });
+
+  it("gives a minimum timer with both periods as a range", () => {
+    const task = { timed: true, timerOperator: "NOT_LESS_THAN", minPeriod: 600, maxPeriod: 1800 };
+    expect(getTimerText(task)).toBe(
+      "Timer type: Minimum time\nMust be completed between 10 and 30 minutes"
+    );
+  });
+
+  it("is N/A for an untimed task", () => {
+    expect(getTimerText({ timed: false })).toBe("N/A");
+  });
+});
+
+describe("getSchedulingText", () => {
+  it("schedules relative to the job or to another task", () => {
+    const afterJob = {
+      enableScheduling: true,
+      taskSchedules: { startDateInterval: 3600, dueDateDuration: { hours: 2 } },
+    };
+    expect(getSchedulingText(ctx, afterJob)).toBe(
+      "Scheduled to start 1 hour after the job starts\nDue 2 hours after the scheduled start"
+    );
+    const afterTask = {
+      enableScheduling: true,
+      taskSchedules: { type: "TASK", referencedTaskId: "t1", condition: "COMPLETE" },
+    };
+    expect(getSchedulingText(ctx, afterTask)).toBe(
+      "Scheduled to start when Task 1.1: Charge is done"
+    );
+  });
+
+  it("words recurrence with its tolerances", () => {
+    const task = {
+      enableRecurrence: true,
+      taskRecurrence: {
+        startDateDuration: { days: 1 },
+        dueDateInterval: 7200,
+        negativeStartDateToleranceInterval: 300,
+        positiveStartDateToleranceInterval: 600,
+      },
+    };
+    expect(getSchedulingText(ctx, task)).toBe(
+      "Recurs every 1 day\n" +
+        "Each occurrence is due 2 hours after it starts\n" +
+        "Start tolerance: 5 minutes early to 10 minutes late"
+    );
+  });
+
+  it("ignores a schedule that is not enabled", () => {
+    expect(getSchedulingText(ctx, { taskSchedules: { startDateInterval: 60 } })).toBe("N/A");
+  });
+});
+
+describe("getMediaText and getTaskSettingsText", () => {
+  it("lists attached media with their file type", () => {
+    const task = {
+      medias: [
+        { name: "SOP-12", type: "application/pdf", description: "Mixing SOP" },
+        { originalFilename: "line.png" },
+        { description: "no name" },
+      ],
+    };
+    expect(getMediaText(task)).toBe("Attached media:\n• SOP-12 (PDF) – Mixing SOP\n• line.png");
+  });
+
+  it("leaves out a media type that is not a string", () => {
+    const task = {
+      medias: [
+        { name: "SOP-12", type: { mime: "application/pdf" } },
+        { name: "line.png", type: 3 },
+      ],
+    };
+    expect(getMediaText(task)).toBe("Attached media:\n• SOP-12\n• line.png");
+  });
+
+  it("words the solo and pause settings", () => {
+    expect(getTaskSettingsText({ isSoloTask: true, hasStop: true })).toBe(
+      "Solo task: only one user can work on it at a time\nCan be paused and resumed"
+    );
+    expect(getTaskSettingsText({})).toBe("N/A");
+  });
+});
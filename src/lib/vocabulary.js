@@ -0,0 +1,170 @@
+/**
+ * Wording used for platform enums in the narration. Every section maps an
+ * upper-case enum value to its readable text; values missing from a section
+ * fall back to formatKey and are reported as unmapped.
+ *
+ * @typedef {Object} Vocabulary
+ * @property {Object<string, string>} constraints    Filter / validation operators (EQ, GTE, ...).
+ * @property {Object<string, string>} exceptionTypes Validation exception approval types.
+ * @property {Object<string, string>} selectors      Value selectors (CONSTANT, PARAMETER, ...).
+ * @property {Object<string, string>} units          Date / time units.
+ * @property {Object<string, string>} descriptions   "Activity Description in detail" template per
+ *   parameter type, DEFAULT for types without one (see descriptions.js for the placeholders).
+ */
+
+export const VOCABULARY_SECTIONS = {
+  constraints: "Constraints",
+  exceptionTypes: "Exception types",
+  selectors: "Selectors",
+  units: "Units",
+  descriptions: "Parameter descriptions",
+};
+
+/** @type {Vocabulary} */
+export const DEFAULT_VOCABULARY = {
+  constraints: {
+    "EQ": "equals",
+    "NEQ": "not equals",
+    "NE": "not equals",
+    "LT": "is less than",
+    "LTE": "is less than or equal to",
+    "LE": "is less than or equal to",
+    "GT": "is greater than",
+    "GTE": "is greater than or equal to",
+    "GE": "is greater than or equal to",
+    "CONTAINS": "contains",
+    "NOT_CONTAINS": "does not contain",
+    "STARTS_WITH": "starts with",
+    "ENDS_WITH": "ends with",
+    "IN": "is in",
+    "NOT_IN": "is not in",
+    "BETWEEN": "is between",
+    "IS_NULL": "is empty",
+    "IS_NOT_NULL": "is not empty",
+  },
+  exceptionTypes: {
+    "DEFAULT_FLOW": "Halt Parameter Exception",
+    "HALT_PARAMETER_EXCEPTION": "Halt Parameter Exception",
+    "SKIP_EXCEPTION": "Skip Exception",
+    "WARNING_ONLY": "Warning Only",
+    "WARNING": "Warning Only",
+    "APPROVAL_REQUIRED": "Approval Required",
+    "SOFT_EXCEPTION": "Soft Exception",
+    "HARD_EXCEPTION": "Hard Exception",
+  },
+  selectors: {
+    "CONSTANT": "Constant",
+    "PARAMETER": "Parameter",
+    "PROPERTY": "Property",
+    "VARIABLE": "Variable",
+    "EXPRESSION": "Expression",
+    "NONE": "None",
+  },
+  units: {
+    "DAYS": "Days from today",
+    "DAY": "Days from today",
+    "HOURS": "Hours from now",
+    "HOUR": "Hours from now",
+    "MINUTES": "Minutes from now",
+    "MINUTE": "Minutes from now",
+    "WEEKS": "Weeks from today",
+    "WEEK": "Weeks from today",
+    "MONTHS": "Months from today",
+    "MONTH": "Months from today",
+    "YEARS": "Years from today",
+    "YEAR": "Years from today",
+  },
+  descriptions: {
+    "DEFAULT": "Performer provides input for {label}.",
+    "SINGLE_LINE": "Performer enters {label} as a single line of text.",
+    "MULTI_LINE": "Performer enters {label} as free text.",
+    "SINGLE_SELECT": "Performer selects one option for {label}[: {choices}].",
+    "MULTISELECT": "Performer selects one or more options for {label}[: {choices}].",
+    "YES_NO": "Performer answers {label}[: {choices}].",
+    "CHECKLIST": "Performer completes the checklist {label}[: {choices}].",
+    "NUMBER": "Performer enters a number for {label}[, {range}][, in {unit}].",
+    "INSTRUCTION": "Performer reads and follows the instruction {label}[: \"{text}\"].",
+    "MATERIAL": "Performer checks the material {label}[: {choices}].",
+    "RESOURCE": "Performer selects the {objectType} for {label}[, limited to {filters}].",
+    "MULTI_RESOURCE": "Performer selects one or more {objectType} records for {label}[, limited to {filters}].",
+    "CALCULATION": "{label} is calculated automatically[ as {formula}][, in {unit}].",
+    "SHOULD_BE": "Performer records {label}[; the expected value {expected}][ {unit}].",
+    "SIGNATURE": "Performer signs {label}.",
+    "FILE_UPLOAD": "Performer uploads a file for {label}.",
+    "MEDIA": "Performer captures or attaches media for {label}.",
+    "DATE": "Performer enters a date for {label}.",
+    "DATE_TIME": "Performer enters a date and time for {label}.",
+  },
+};
+
+// -------------------- HELPER: Keep only string terms, keyed by upper-case enum --------------------
+const cleanSection = (section) =>
+  Object.fromEntries(
+    Object.entries(section || {})
+      .filter(([key, label]) => key.trim() && typeof label === "string" && label.trim())
+      .map(([key, label]) => [key.trim().toUpperCase(), label.trim()])
+  );
+
+/**
+ * Project overrides layered over the default vocabulary. Overrides win;
+ * sections or terms they leave out keep the default wording.
+ *
+ * @param {Partial<Vocabulary>} [overrides]
+ * @returns {Vocabulary}
+ */
+export const mergeVocabulary = (overrides = {}) =>
+  Object.fromEntries(
+    Object.keys(VOCABULARY_SECTIONS).map((section) => [
+      section,
+      { ...DEFAULT_VOCABULARY[section], ...cleanSection(overrides?.[section]) },
+    ])
+  );
+
+/**
+ * The terms of a vocabulary that differ from the defaults, i.e. what a
+ * project override file needs to contain.
+ *
+ * @param {Vocabulary} vocabulary
+ * @returns {Partial<Vocabulary>}
+ */
+export const vocabularyOverrides = (vocabulary) =>
+  Object.fromEntries(
+    Object.keys(VOCABULARY_SECTIONS).map((section) => [
+      section,
+      Object.fromEntries(
+        Object.entries(cleanSection(vocabulary?.[section])).filter(
+          ([key, label]) => DEFAULT_VOCABULARY[section][key] !== label
+        )
+      ),
+    ])
+  );
+
+/**
+ * Parses a vocabulary override file.
+ *
+ * @param {string} text JSON with any of the {@link VOCABULARY_SECTIONS} keys.
+ * @returns {Partial<Vocabulary>} The overrides, cleaned.
+ * @throws {Error} When the JSON is invalid or has no known section.
+ */
+export const parseVocabulary = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Invalid vocabulary JSON: ${err.message}`);
+  }
+  const sections = Object.keys(VOCABULARY_SECTIONS);
+  if (!parsed || typeof parsed !== "object" || !sections.some((section) => section in parsed)) {
+    throw new Error(`Not a vocabulary file: expected an object with ${sections.join(", ")}`);
+  }
+  return vocabularyOverrides(mergeVocabulary(parsed));
+};
+
+/**
+ * Serializes vocabulary overrides for export / sharing.
+ *
+ * @param {Partial<Vocabulary>} overrides
+ * @returns {string}
+ */
+export const serializeVocabulary = (overrides) =>
+  JSON.stringify(vocabularyOverrides(mergeVocabulary(overrides)), null, 2);
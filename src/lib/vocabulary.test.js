@@ -0,0 +1,25 @@
+import { describe, expect, it } from "vitest";
+import { createTerms, formatKey } from "./formatters.js";
+import { mergeVocabulary } from "./vocabulary.js";
+
+describe("default vocabulary", () => {
+  it("keeps the original constraint wording", () => {
+    const terms = createTerms(mergeVocabulary());
+    expect(terms.constraint("GTE")).toBe("is greater than or equal to");
+    expect(terms.constraint("neq")).toBe("not equals");
+    expect(terms.exceptionType("DEFAULT_FLOW")).toBe("Halt Parameter Exception");
+    expect(terms.unmapped()).toEqual([]);
+  });
+
+  it("words values it has no entry for with formatKey and reports them", () => {
+    const terms = createTerms(mergeVocabulary());
+    expect(terms.constraint("MORE_THAN")).toBe(formatKey("MORE_THAN"));
+    expect(terms.unmapped()).toEqual([{ section: "constraints", value: "MORE_THAN", count: 1 }]);
+  });
+
+  it("changes wording only through overrides", () => {
+    const terms = createTerms(mergeVocabulary({ constraints: { MORE_THAN: "exceeds" } }));
+    expect(terms.constraint("MORE_THAN")).toBe("exceeds");
+    expect(terms.constraint("GT")).toBe("is greater than");
+  });
+});
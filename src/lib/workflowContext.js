@@ -0,0 +1,287 @@
+import { createTerms } from "./formatters.js";
+import { mergeVocabulary } from "./vocabulary.js";
+
+export const CJF_STAGE_NAME = "Create Job Form";
+
+/** How a parameter starts out when a task opens, given the branching rules on it. */
+export const VISIBILITY = {
+  ALWAYS: "Always visible",
+  HIDDEN: "Hidden until rule met",
+  VISIBLE: "Visible until rule met",
+};
+
+/**
+ * Best display name for a workflow, falling back when the JSON has none.
+ *
+ * @param {Object} wf
+ * @param {string} [fallback]
+ * @returns {string}
+ */
+export const getWorkflowName = (wf, fallback = "Untitled Workflow") =>
+  wf?.name || wf?.displayName || fallback;
+
+/**
+ * Lookup tables shared by every narration builder for a single workflow.
+ *
+ * @typedef {Object} WorkflowContext
+ * @property {Object} wf                 The raw workflow JSON.
+ * @property {Object} parameterMap       Parameter id -> label.
+ * @property {Object} propertyNameMap    Property / parameter id -> display name.
+ * @property {Object} optionMap          Option id / value -> display name.
+ * @property {Object} visibilityMap      Target parameter id -> branching text, combining every
+ *   show / hide rule on it and the conditions of its (nested) trigger parameters.
+ * @property {Object} defaultVisibilityMap Target parameter id -> {@link VISIBILITY} value.
+ *   Parameters no rule targets are missing and always visible.
+ * @property {Object} controlsMap        Trigger parameter id -> the parameters its rules show
+ *   or hide, one line per rule.
+ * @property {(taskId: string|number) => Object|null} lookupTask
+ * @property {ReturnType<typeof createTerms>} terms Enum formatters for the project vocabulary.
+ */
+
+/**
+ * Walks the workflow once and builds the id -> name lookups used to resolve
+ * references in filters, validations, dependencies and automations.
+ *
+ * @param {Object} wf Workflow JSON in the stageRequests import format.
+ * @param {Object} [options]
+ * @param {Partial<import("./vocabulary.js").Vocabulary>} [options.vocabulary] Project wording
+ *   layered over the default vocabulary.
+ * @returns {WorkflowContext}
+ */
+export const buildWorkflowContext = (wf, options = {}) => {
+  const parameterMap = {};
+  const propertyNameMap = {};
+  const optionMap = {};
+  const visibilityMap = {};
+  // Target parameter id -> show / hide rules on it, turned into text once all parameters are known
+  const branchRules = {};
+  // Trigger parameter id -> its rules, the other way round
+  const controlRules = {};
+
+  // -------------------- BUILD TASK MAP FOR DEPENDENCIES --------------------
+  // Keyed by string id, so numeric and string ids in references (1 / "1") meet on one key
+  const taskMap = {};
+
+  wf.stageRequests?.forEach((stage, stageIdx) => {
+    const stageOrder = stage.orderTree ?? stageIdx + 1;
+    stage.taskRequests?.forEach((task, taskIdx) => {
+      const taskOrder = task.orderTree ?? taskIdx + 1;
+      const taskInfo = {
+        taskName: task.name,
+        stageName: stage.name,
+        stageOrder: stageOrder,
+        taskOrder: taskOrder,
+      };
+      if (task.id != null) taskMap[String(task.id)] = taskInfo;
+    });
+  });
+
+  // -------------------- HELPER: Lookup task by ID --------------------
+  // Ids that are not in the workflow are not found (null), never matched to another task
+  const lookupTask = (taskId) =>
+    taskId != null && Object.prototype.hasOwnProperty.call(taskMap, String(taskId))
+      ? taskMap[String(taskId)]
+      : null;
+
+  // -------------------- PARAM COLLECTION --------------------
+  const collectParam = (param) => {
+    if (!param) return;
+    parameterMap[param.id] = param.label;
+    propertyNameMap[param.id] = param.label;
+
+    const options = Array.isArray(param.data)
+      ? param.data
+      : Array.isArray(param.data?.choices)
+      ? param.data.choices
+      : Array.isArray(param.data?.options)
+      ? param.data.options
+      : [];
+
+    options.forEach((opt) => {
+      if (opt?.id) optionMap[opt.id] = opt.name ?? opt.label ?? opt.displayName ?? opt.id;
+      if (opt?.name) optionMap[opt.name] = opt.name;
+      if (opt?.value) optionMap[opt.value] = opt.name ?? opt.label ?? opt.displayName ?? opt.value;
+    });
+
+    // Collect property info from propertyFilters in RESOURCE type parameters
+    if (param.data?.propertyFilters?.fields) {
+      param.data.propertyFilters.fields.forEach((filter) => {
+        // Extract property ID from field like "searchable.692559bba9de4d179f65af5b"
+        if (filter.field && typeof filter.field === 'string' && filter.field.startsWith('searchable.')) {
+          const propId = filter.field.split('.')[1];
+          if (filter.displayName) {
+            propertyNameMap[propId] = filter.displayName;
+          } else if (filter.externalId) {
+            propertyNameMap[propId] = filter.externalId;
+          }
+        }
+
+        // Collect displayName if available
+        if (filter.displayName && filter.field) {
+          // Also store with the full field name
+          propertyNameMap[filter.field] = filter.displayName;
+        }
+      });
+    }
+
+    // Collect property options from propertyValidations
+    if (param.validations) {
+      param.validations.forEach((validation) => {
+        validation.propertyValidations?.forEach((pv) => {
+          if (pv.options) {
+            pv.options.forEach((opt) => {
+              if (opt.id) {
+                optionMap[opt.id] = opt.displayName || opt.name || opt.label || opt.id;
+              }
+            });
+          }
+          if (pv.propertyId) {
+            const propName = pv.propertyDisplayName || pv.propertyExternalId;
+            if (propName) {
+              propertyNameMap[pv.propertyId] = propName;
+            }
+          }
+        });
+      });
+    }
+
+    if (param.rules?.length) {
+      param.rules.forEach((rule) => {
+        const inputValues = (rule.input || []).map((inp) => optionMap[inp] || inp);
+
+        ["show", "hide"].forEach((action) => {
+          const targetIds = rule[action]?.parameters || [];
+          targetIds.forEach((targetId) => {
+            if (!branchRules[targetId]) branchRules[targetId] = [];
+            branchRules[targetId].push({ action, triggerId: param.id, inputValues });
+          });
+          if (targetIds.length) {
+            if (!controlRules[param.id]) controlRules[param.id] = [];
+            controlRules[param.id].push({ action, targetIds, inputValues });
+          }
+        });
+      });
+    }
+  };
+
+  // -------------------- PROPERTY MAPS --------------------
+  wf.objects?.forEach((obj) =>
+    obj.properties?.forEach((p) => {
+      propertyNameMap[p.id] = p.displayName || p.name || p.label || p.id;
+      // Collect options from properties
+      if (p.choices) {
+        p.choices.forEach((choice) => {
+          if (choice.id) optionMap[choice.id] = choice.displayName || choice.name || choice.label || choice.id;
+        });
+      }
+    })
+  );
+  wf.objectRequests?.forEach((obj) =>
+    obj.propertyRequests?.forEach((p) => {
+      propertyNameMap[p.id] = p.displayName || p.name || p.label || p.id;
+      // Collect options from properties
+      if (p.choices) {
+        p.choices.forEach((choice) => {
+          if (choice.id) optionMap[choice.id] = choice.displayName || choice.name || choice.label || choice.id;
+        });
+      }
+    })
+  );
+
+  // -------------------- PARAMETER GATHERING --------------------
+  wf.parameterRequests?.forEach(collectParam);
+  wf.stageRequests?.forEach((stage) =>
+    stage.taskRequests?.forEach((task) => {
+      task.parameterRequests?.forEach(collectParam);
+
+      // Collect choices from automation requests
+      task.automationRequests?.forEach((auto) => {
+        if (auto.actionDetails?.choices) {
+          auto.actionDetails.choices.forEach((choice) => {
+            if (choice.id) {
+              optionMap[choice.id] = choice.displayName || choice.name || choice.label || choice.id;
+            }
+          });
+        }
+      });
+    })
+  );
+
+  // -------------------- BRANCHING TEXT --------------------
+  // One clause per trigger parameter; several rules from the same trigger merge their values
+  const describeRules = (rules, action) => {
+    const clauses = new Map();
+    rules
+      .filter((rule) => rule.action === action)
+      .forEach(({ triggerId, inputValues }) => {
+        const values = clauses.get(triggerId) || [];
+        inputValues.forEach((value) => {
+          if (!values.includes(value)) values.push(value);
+        });
+        clauses.set(triggerId, values);
+      });
+    return [...clauses.entries()]
+      .map(([triggerId, values]) => `"${parameterMap[triggerId]}" is "${values.join(" / ")}"`)
+      .join(" OR ");
+  };
+
+  const describeVisibility = (targetId) => {
+    const rules = branchRules[targetId] || [];
+    const shown = describeRules(rules, "show");
+    const hidden = describeRules(rules, "hide");
+    return [shown && `Visible when ${shown}`, hidden && `Hidden when ${hidden}`].filter(Boolean);
+  };
+
+  Object.keys(branchRules).forEach((targetId) => {
+    const lines = describeVisibility(targetId);
+
+    // Walk up the chain: triggers that are only conditionally visible themselves
+    const seen = new Set([String(targetId)]);
+    const pending = branchRules[targetId].map((rule) => rule.triggerId);
+    while (pending.length) {
+      const triggerId = pending.shift();
+      if (seen.has(String(triggerId))) continue;
+      seen.add(String(triggerId));
+      describeVisibility(triggerId).forEach((line) =>
+        lines.push(`"${parameterMap[triggerId]}" is itself ${line.charAt(0).toLowerCase()}${line.slice(1)}`)
+      );
+      pending.push(...(branchRules[triggerId] || []).map((rule) => rule.triggerId));
+    }
+
+    visibilityMap[targetId] = lines.join("\n");
+  });
+
+  // -------------------- DEFAULT VISIBILITY --------------------
+  // A parameter any rule shows starts out hidden; one that rules only hide starts out visible
+  const defaultVisibilityMap = {};
+  Object.keys(branchRules).forEach((targetId) => {
+    defaultVisibilityMap[targetId] = branchRules[targetId].some((rule) => rule.action === "show")
+      ? VISIBILITY.HIDDEN
+      : VISIBILITY.VISIBLE;
+  });
+
+  // -------------------- CONTROLS TEXT --------------------
+  const controlsMap = {};
+  Object.keys(controlRules).forEach((triggerId) => {
+    controlsMap[triggerId] = controlRules[triggerId]
+      .map(({ action, targetIds, inputValues }) => {
+        const targets = targetIds.map((id) => `"${parameterMap[id] ?? `Parameter ID ${id}`}"`).join(", ");
+        return `${action === "show" ? "Shows" : "Hides"} ${targets} when "${inputValues.join(" / ")}"`;
+      })
+      .join("\n");
+  });
+
+  const terms = createTerms(mergeVocabulary(options.vocabulary));
+
+  return {
+    wf,
+    parameterMap,
+    propertyNameMap,
+    optionMap,
+    visibilityMap,
+    defaultVisibilityMap,
+    controlsMap,
+    lookupTask,
+    terms,
+  };
+};
@@ -0,0 +1,112 @@
+import { describe, expect, it } from "vitest";
+import { buildWorkflowContext, VISIBILITY } from "./workflowContext.js";
+
+const choices = (...names) => names.map((name) => ({ id: name.toLowerCase(), name }));
+
+// Area -> shows Mode; Mode and Check both decide on Speed; Mode hides Note
+const wf = {
+  stageRequests: [
+    {
+      id: "s1",
+      name: "Mixing",
+      taskRequests: [
+        {
+          id: "t1",
+          name: "Mix",
+          parameterRequests: [
+            {
+              id: "area",
+              label: "Area",
+              data: choices("Clean", "Dirty"),
+              rules: [{ input: ["clean"], show: { parameters: ["mode"] } }],
+            },
+            {
+              id: "mode",
+              label: "Mode",
+              data: choices("Auto", "Manual", "Off"),
+              rules: [
+                { input: ["auto"], show: { parameters: ["speed"] } },
+                { input: ["manual"], show: { parameters: ["speed"] } },
+                { input: ["off"], hide: { parameters: ["note"] } },
+              ],
+            },
+            {
+              id: "check",
+              label: "Check",
+              data: choices("Yes", "No"),
+              rules: [
+                { input: ["yes"], show: { parameters: ["speed"] } },
+                { input: ["no"], hide: { parameters: ["speed"] } },
+              ],
+            },
+            { id: "speed", label: "Speed" },
+            { id: "note", label: "Note" },
+          ],
+        },
+      ],
+    },
+  ],
+};
+
+describe("Branching", () => {
+  const { visibilityMap } = buildWorkflowContext(wf);
+
+  it("combines every show and hide rule on a parameter", () => {
+    expect(visibilityMap.speed.split("\n").slice(0, 2)).toEqual([
+      'Visible when "Mode" is "Auto / Manual" OR "Check" is "Yes"',
+      'Hidden when "Check" is "No"',
+    ]);
+  });
+
+  it("narrates parameters that only hide rules apply to", () => {
+    expect(visibilityMap.note).toBe(
+      'Hidden when "Mode" is "Off"\n"Mode" is itself visible when "Area" is "Clean"'
+    );
+  });
+
+  it("follows triggers that are conditionally visible themselves", () => {
+    expect(visibilityMap.speed.split("\n").slice(2)).toEqual([
+      '"Mode" is itself visible when "Area" is "Clean"',
+    ]);
+    expect(visibilityMap.area).toBeUndefined();
+  });
+});
+
+describe("Visibility", () => {
+  const { defaultVisibilityMap } = buildWorkflowContext(wf);
+
+  it("starts a parameter hidden when any rule shows it, visible when rules only hide it", () => {
+    expect(defaultVisibilityMap).toEqual({
+      mode: VISIBILITY.HIDDEN,
+      speed: VISIBILITY.HIDDEN,
+      note: VISIBILITY.VISIBLE,
+    });
+  });
+});
+
+describe("Controls", () => {
+  const { controlsMap } = buildWorkflowContext(wf);
+
+  it("lists what each trigger parameter shows and hides", () => {
+    expect(controlsMap).toEqual({
+      area: 'Shows "Mode" when "Clean"',
+      mode: 'Shows "Speed" when "Auto"\nShows "Speed" when "Manual"\nHides "Note" when "Off"',
+      check: 'Shows "Speed" when "Yes"\nHides "Speed" when "No"',
+    });
+  });
+
+  it("names targets that are not in the workflow by id", () => {
+    const { controlsMap: controls } = buildWorkflowContext({
+      parameterRequests: [
+        {
+          id: "ok",
+          label: "OK",
+          data: choices("Yes"),
+          rules: [{ input: ["yes"], hide: { parameters: ["gone"] } }],
+        },
+      ],
+      stageRequests: [],
+    });
+    expect(controls.ok).toBe('Hides "Parameter ID gone" when "Yes"');
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * Progress message posted by the conversion worker.
+ *
+ * @typedef {Object} ConversionProgress
+ * @property {"read"|"convert"} phase Reading files or converting workflows.
+ * @property {string} label   File (ZIP entry) or workflow being processed.
+ * @property {number} current 1-based position within the phase.
+ * @property {number} total   Number of files / workflows in the phase.
+ */
+
+/**
+ * Reads and converts uploaded files in a Web Worker so large ZIPs do not
+ * block the UI. Already loaded workflows can be passed instead of files to
+ * convert them again. `cancel` terminates the worker; the promise then rejects
+ * with an AbortError.
+ *
+ * @param {import("../lib/loadWorkflows.js").UploadedFile[]|import("../lib/loadWorkflows.js").LoadedWorkflow[]} source
+ * @param {(progress: ConversionProgress) => void} [onProgress]
+ * @param {Object} [options] Conversion options, see convertWorkflow.
+ * @param {Partial<import("../lib/vocabulary.js").Vocabulary>} [options.vocabulary]
+ * @param {boolean} [options.includeIds]
+ * @returns {{ promise: Promise<{ groups: import("../lib/convertWorkflow.js").WorkflowGroup[],
+ *   failures: import("../lib/loadWorkflows.js").ImportFailure[] }>, cancel: () => void }}
+ *   Files and workflows that fail are listed in `failures`; the promise only rejects when the
+ *   worker itself fails.
+ */
+export const convertInWorker = (source, onProgress, options = {}) => {
+  const worker = new Worker(new URL("./convertWorker.js", import.meta.url), { type: "module" });
+  let cancel;
+
+  const promise = new Promise((resolve, reject) => {
+    const finish = (settle, value) => {
+      worker.terminate();
+      settle(value);
+    };
+
+    cancel = () => finish(reject, new DOMException("Conversion cancelled", "AbortError"));
+
+    worker.onmessage = ({ data }) => {
+      if (data.type === "progress") onProgress?.(data);
+      else if (data.type === "done")
+        finish(resolve, { groups: data.groups, failures: data.failures });
+      else finish(reject, new Error(data.message));
+    };
+    worker.onerror = (event) => {
+      event.preventDefault();
+      finish(reject, new Error(event.message || "Conversion worker failed"));
+    };
+
+    const input = source.every((item) => "workflow" in item)
+      ? { loaded: source }
+      : { files: source };
+    worker.postMessage({ ...input, options });
+  });
+
+  return { promise, cancel };
+};
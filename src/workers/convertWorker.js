@@ -0,0 +1,41 @@
+import { readWorkflowFiles } from "../lib/loadWorkflows.js";
+import { convertWorkflowGroups } from "../lib/convertWorkflow.js";
+
+/* -------------------- CONVERSION WORKER --------------------
+ * Reads and converts uploaded files off the UI thread, or re-converts
+ * workflows that were already loaded (e.g. after a vocabulary change).
+ *   in:  { files, options } or { loaded, options }, files as for readWorkflowFiles,
+ *        options as for convertWorkflow
+ *   out: { type: "progress", phase: "read" | "convert", label, current, total }
+ *        { type: "done", groups, failures }, failures being the files and workflows
+ *        that could not be imported (the rest still are)
+ *        { type: "error", message }
+ */
+self.onmessage = async ({ data: { files, loaded: preloaded, options } }) => {
+  const failures = [];
+  const onFailure = (failure) => failures.push(failure);
+  try {
+    const loaded =
+      preloaded ||
+      (await readWorkflowFiles(files, {
+        onFailure,
+        onProgress: ({ fileName, current, total }) =>
+          self.postMessage({ type: "progress", phase: "read", label: fileName, current, total }),
+      }));
+    const groups = convertWorkflowGroups(loaded, {
+      ...options,
+      onFailure,
+      onProgress: ({ workflowName, current, total }) =>
+        self.postMessage({
+          type: "progress",
+          phase: "convert",
+          label: workflowName,
+          current,
+          total,
+        }),
+    });
+    self.postMessage({ type: "done", groups, failures });
+  } catch (err) {
+    self.postMessage({ type: "error", message: err.message });
+  }
+};